@@ -8,14 +8,30 @@
  * @param  {Object} qvangular           Qlik's Angular implementation
  * @param  {Object} _                   Underscore
  * @param  {Object} $q                  Angular's Q promise library
+ * @param  {Object} $timeout            Angular's timeout service
  * @param  {Object} translator          Qlik's translation API
  * @param  {Object} Resize              Qlik's resize API
  * @param  {Object} props               Property panel definition
  * @param  {Object} initProps           Initial properties
+ * @param  {Object} appInfo             E-mergo app info functions
  * @param  {Object} util                E-mergo utility functions
+ * @param  {Object} uiUtil              E-mergo UI utility functions
+ * @param  {Object} exportUtil          E-mergo App Inspector export functions
+ * @param  {Object} diff                E-mergo App Inspector diff functions
+ * @param  {Object} expression          E-mergo App Inspector expression functions
+ * @param  {Object} lint                E-mergo App Inspector expression lint functions
+ * @param  {Object} script              E-mergo App Inspector script functions
+ * @param  {Object} diagram             E-mergo App Inspector data model diagram functions
+ * @param  {Object} fieldProfile        E-mergo App Inspector field profile functions
+ * @param  {Object} footprint           E-mergo App Inspector memory footprint functions
+ * @param  {Object} fieldValues         E-mergo App Inspector field values functions
+ * @param  {Object} batch               E-mergo App Inspector batch functions
+ * @param  {Object} inspectionCache     E-mergo App Inspector inspection cache functions
  * @param  {String} css                 Extension stylesheet
  * @param  {String} tmpl                Extension template file
  * @param  {String} modalTmpl           Extension modal template file
+ * @param  {String} batchTmpl           Extension batch audit modal template file
+ * @param  {String} qext                Extension QEXT data
  * @return {Object}                     Extension structure
  */
 define([
@@ -23,6 +39,7 @@ define([
 	"qvangular",
 	"underscore",
 	"ng!$q",
+	"ng!$timeout",
 	"translator",
 	"core.utils/resize",
 	"./properties",
@@ -30,20 +47,40 @@ define([
 	"./util/app-info",
 	"./util/util",
 	"./util/ui-util",
+	"./util/export",
+	"./util/diff",
+	"./util/expression",
+	"./util/lint",
+	"./util/script",
+	"./util/diagram",
+	"./util/profile",
+	"./util/footprint",
+	"./util/field-values",
+	"./util/batch",
+	"./util/inspection-cache",
 	"text!./style.css",
 	"text!./template.ng.html",
-	"text!./modal.ng.html"
-], function( qlik, qvangular, _, $q, translator, Resize, props, initProps, appInfo, util, uiUtil, css, tmpl, modalTmpl ) {
+	"text!./modal.ng.html",
+	"text!./batch.ng.html",
+	"text!./qs-emergo-app-inspector.qext"
+], function( qlik, qvangular, _, $q, $timeout, translator, Resize, props, initProps, appInfo, util, uiUtil, exportUtil, diff, expression, lint, script, diagram, fieldProfile, footprint, fieldValues, batch, inspectionCache, css, tmpl, modalTmpl, batchTmpl, qext ) {
 
 	// Add global styles to the page
 	util.registerStyle("qs-emergo-app-inspector", css);
 
+	/**
+	 * Holds the QEXT data
+	 *
+	 * @type {Object}
+	 */
+	var qext = JSON.parse(qext),
+
 	/**
 	 * Holds the current app
 	 *
 	 * @type {Object}
 	 */
-	var currApp = qlik.currApp(),
+	currApp = qlik.currApp(),
 
 	/**
 	 * Holds the list of opened apps
@@ -52,6 +89,77 @@ define([
 	 */
 	_apps = {},
 
+	/**
+	 * Holds the types of Qlik Sense's native visualization objects
+	 *
+	 * Lists the types of older releases, for when the visualizations that are
+	 * registered in the runtime cannot be read. See `isNativeObjectType()`.
+	 *
+	 * @type {Array}
+	 */
+	nativeObjectTypes = [
+		"action-button",
+		"auto-chart",
+		"barchart",
+		"boxplot",
+		"bulletchart",
+		"combochart",
+		"container",
+		"distributionplot",
+		"filterpane",
+		"gauge",
+		"histogram",
+		"kpi",
+		"linechart",
+		"listbox",
+		"map",
+		"mekkochart",
+		"piechart",
+		"pivot-table",
+		"scatterplot",
+		"sn-layout-container",
+		"sn-pivot-table",
+		"sn-tabbed-container",
+		"sn-table",
+		"table",
+		"text-image",
+		"treemap",
+		"waterfallchart"
+	],
+
+	/**
+	 * Return the types of the visualizations that are registered in the runtime
+	 *
+	 * Holds native visualizations and the extensions that are loaded in the client.
+	 *
+	 * @return {Array} Visualization types
+	 */
+	getRegisteredObjectTypes = function() {
+		var visualizations;
+
+		try {
+			visualizations = qvangular.getService("$visualizations");
+		} catch (error) {
+			return [];
+		}
+
+		return visualizations && "function" === typeof visualizations.getRegisteredNames ? visualizations.getRegisteredNames() || [] : [];
+	},
+
+	/**
+	 * Return whether the object type is a native visualization
+	 *
+	 * Types that are registered in the runtime, but are not installed as extension,
+	 * are native visualizations. This includes types of newer releases.
+	 *
+	 * @param  {String} type          Object type
+	 * @param  {Object} extensionList Extension metadata
+	 * @return {Boolean} Is the type native?
+	 */
+	isNativeObjectType = function( type, extensionList ) {
+		return -1 !== nativeObjectTypes.indexOf(type) || (! extensionList.hasOwnProperty(type) && -1 !== getRegisteredObjectTypes().indexOf(type));
+	},
+
 	/**
 	 * Return the opened app
 	 *
@@ -96,6 +204,36 @@ define([
 		return _apps[appId];
 	},
 
+	/**
+	 * Close an app that was opened for inspection
+	 *
+	 * The current app is never closed.
+	 *
+	 * @param  {String} appId App identifier
+	 * @return {Promise} App is closed
+	 */
+	closeApp = function( appId ) {
+		var app = _apps[appId];
+
+		// Bail when the app was not opened
+		if (! app || appId === currApp.id) {
+			return $q.resolve();
+		}
+
+		delete _apps[appId];
+
+		return $q.all([
+			app.then( function( a ) {
+				return a.close();
+			}),
+
+			// The app info loaders keep their own reference to the app
+			appInfo.closeApp(appId)
+
+		// The app is forgotten, even when closing it failed
+		]).catch(_.noop);
+	},
+
 	/**
 	 * Get the app's sheet information
 	 *
@@ -127,6 +265,76 @@ define([
 		});
 	},
 
+	/**
+	 * Return the errors of the extension objects of a single type
+	 *
+	 * Reports extensions that are not installed, and objects that were created with
+	 * another version of the extension than the installed version.
+	 * Each error lists the affected objects by sheet.
+	 *
+	 * @param  {Object} meta          Extension metadata of the object type
+	 * @param  {Array}  objects       Sheet objects of the type
+	 * @param  {Object} sheetInfo     Sheet information
+	 * @param  {Object} extensionList Extension metadata
+	 * @return {Array} Errors
+	 */
+	getExtensionObjectErrors = function( meta, objects, sheetInfo, extensionList ) {
+		var errors = [], installed, byVersion,
+
+		/**
+		 * Return the labels of the objects with their sheet
+		 *
+		 * @param  {Array} list Sheet objects
+		 * @return {Array} Object labels
+		 */
+		getObjectLabels = function( list ) {
+			return list.map( function( a ) {
+				var sheet = sheetInfo.find( function( b ) {
+					return b.id === a.details.sheet;
+				});
+
+				return (sheet ? sheet.label : a.details.sheet).concat(" / ", a.id);
+			});
+		};
+
+		// Native objects are not listed as extension
+		if (! meta.isThirdParty) {
+			return errors;
+		}
+
+		// Missing extension
+		if (! extensionList.hasOwnProperty(meta.template)) {
+			errors.push({
+				message: "Extension '".concat(meta.template, "' is not installed"), // Translation?
+				errorData: getObjectLabels(objects)
+			});
+
+			return errors;
+		}
+
+		installed = extensionList[meta.template];
+
+		// Version mismatch between the object and the installed extension
+		if (installed.version) {
+			byVersion = _.groupBy(objects.filter( function( a ) {
+				var version = a.properties.extensionMeta && a.properties.extensionMeta.version;
+
+				return version && version !== installed.version;
+			}), function( a ) {
+				return a.properties.extensionMeta.version;
+			});
+
+			_.keys(byVersion).forEach( function( version ) {
+				errors.push({
+					message: "Created with version ".concat(version, ", installed version is ", installed.version), // Translation?
+					errorData: getObjectLabels(byVersion[version])
+				});
+			});
+		}
+
+		return errors;
+	},
+
 	/**
 	 * Return unique app objects from sheets
 	 *
@@ -144,20 +352,25 @@ define([
 		// Derive sheet objects from sheet info
 		var sheetObjects = _.flatten(sheetInfo.map( function( sheet ) {
 			return (sheet.visualizations || []).map( function( object ) {
+				var type = object.properties.qInfo.qType, extensionMeta = object.properties.extensionMeta;
+
 				return {
 					id: object.cell.name,
 					details: {
 						sheet: sheet.id
 					},
 					errors: object.errors,
-					meta: object.properties.extensionMeta || {
-						name: object.properties.qInfo.qType,
-						template: object.properties.qInfo.qType,
-						isThirdParty: false
-					},
+					expressions: object.expressions,
+					meta: _.extend({ name: type }, extensionMeta, {
+						template: type,
+
+						// Types that are neither native nor installed are missing extensions
+						isThirdParty: ! isNativeObjectType(type, extensionList) && (! extensionList.hasOwnProperty(type) || ! extensionMeta || !! extensionMeta.isThirdParty)
+					}),
 					properties: object.properties,
 					children: object.children,
-					masterobject: object.masterobject
+					masterobject: object.masterobject,
+					isShallow: !! object.isShallow
 				};
 			});
 		}), 1); // flatten 1 level
@@ -166,7 +379,7 @@ define([
 		return _.uniq(sheetObjects, false, function( a ) {
 			return a.properties.qInfo.qType;
 		}).map( function( template ) {
-			var item, extensionMetadata = {}, details,
+			var item, extensionMetadata = {}, details, extensionErrors,
 
 			// Get all objects of the template type
 			objects = sheetObjects.filter( function( a ) {
@@ -195,6 +408,9 @@ define([
 				extensionMetadata = extensionList[template.meta.template];
 			}
 
+			// Report missing or outdated extensions
+			extensionErrors = getExtensionObjectErrors(template.meta, objects, sheetInfo, extensionList);
+
 			// Setup global details
 			details = {
 				masterobject: {
@@ -243,12 +459,12 @@ define([
 			item = {
 				id: template.properties.qInfo.qType,
 				label: extensionMetadata.name || template.meta.name,
-				icon: hasError ? "debug" : "",
+				icon: hasError || extensionErrors.length ? "debug" : "",
 				isThirdParty: template.meta.isThirdParty,
 				isMasterObject: isSingleItem ? objects[0].masterobject && objects[0].masterobject.qInfo.qId : false,
 				count: isSingleItem ? 0 : objects.length, // 1 is already assumed, so hide counter by setting 0
 				details: details,
-				errors: isSingleItem ? objects[0].errors : false,
+				errors: isSingleItem ? objects[0].errors.concat(extensionErrors) : (extensionErrors.length ? extensionErrors : false),
 				searchTerms: ""
 			};
 
@@ -284,28 +500,25 @@ define([
 							}
 						},
 						errors: a.errors,
+						expressions: a.expressions,
+						properties: a.properties,
 						preview: {
 							url: getSingleVizUrl({
 								appId: app.id,
 								objId: a.id,
 								opts: "nointeraction,noselections"
 							})
-						},
-						code: {
-							properties: {
-								label: "Properties",
-								value: JSON.stringify(a.properties, null, "\t")
-							}
 						}
 					}, data, i;
 
+					// Load details on demand
+					if (a.isShallow) {
+						subItem.detailSource = { objectId: a.id };
+					}
+
 					// Setup children
 					if (a.children && a.children.length) {
-						subItem.code.children = {
-							label: "Children",
-							value: JSON.stringify(a.children, null, "\t")
-						};
-
+						subItem.children = a.children;
 						data = appInfo.getChildrenDataDefinition(a.children);
 					} else if (a.masterobject) {
 						data = appInfo.getDataDefinition(a.masterobject);
@@ -332,6 +545,13 @@ define([
 
 				// Single item properties
 				item.properties = objects[0].properties;
+				item.expressions = objects[0].expressions;
+
+				// Load details on demand
+				if (objects[0].isShallow) {
+					item.detailSource = { objectId: objects[0].id };
+				}
+
 				if (objects[0].children.length) {
 					item.children = objects[0].children;
 					data = appInfo.getChildrenDataDefinition(objects[0].children);
@@ -368,11 +588,12 @@ define([
 	/**
 	 * Get the app's dimension information
 	 *
-	 * @param  {Object} app The app's API
-	 * @return {Promise}    List of app dimensions
+	 * @param  {Object} app     The app's API
+	 * @param  {Object} options Optional. Inspection options, like `watch`
+	 * @return {Promise}        List of app dimensions
 	 */
-	getDimensionInfo = function( app ) {
-		return appInfo.dimensions(app.id, { validate: true }).then( function( info ) {
+	getDimensionInfo = function( app, options ) {
+		return appInfo.dimensions(app.id, { validate: true, watch: options && options.watch }).then( function( info ) {
 			return info.map( function( a ) {
 
 				// Define additional search terms
@@ -388,11 +609,12 @@ define([
 	/**
 	 * Get the app's measure information
 	 *
-	 * @param  {Object} app The app's API
-	 * @return {Promise}    List of app measures
+	 * @param  {Object} app     The app's API
+	 * @param  {Object} options Optional. Inspection options, like `watch`
+	 * @return {Promise}        List of app measures
 	 */
-	getMeasureInfo = function( app ) {
-		return appInfo.measures(app.id, { validate: true }).then( function( info ) {
+	getMeasureInfo = function( app, options ) {
+		return appInfo.measures(app.id, { validate: true, watch: options && options.watch }).then( function( info ) {
 			return info.map( function( a ) {
 
 				// Define additional search terms
@@ -408,11 +630,12 @@ define([
 	/**
 	 * Get the app's visualization (master object) information
 	 *
-	 * @param  {Object} app The app's API
-	 * @return {Promise}    List of app master objects
+	 * @param  {Object} app     The app's API
+	 * @param  {Object} options Optional. Inspection options, like `watch`
+	 * @return {Promise}        List of app master objects
 	 */
-	getMasterObjectInfo = function( app ) {
-		return appInfo.masterObjects(app.id, { validate: true }).then( function( info ) {
+	getMasterObjectInfo = function( app, options ) {
+		return appInfo.masterObjects(app.id, { validate: true, watch: options && options.watch }).then( function( info ) {
 			return info.map( function( a ) {
 				var data, i;
 
@@ -451,21 +674,38 @@ define([
 	/**
 	 * Get the app's alternate states information
 	 *
+	 * The scratch state of the field value browser is not listed.
+	 *
 	 * @param  {Object} app The app's API
 	 * @return {Promise}    List of app alternate states
 	 */
 	getAlternateStateInfo = function( app ) {
-		return appInfo.alternateStates(app.id);
+		return appInfo.alternateStates(app.id).then( function( info ) {
+			return info.filter( function( a ) {
+				return fieldValues.SCRATCH_STATE !== a.id;
+			});
+		});
+	},
+
+	/**
+	 * Return the app's alternate state names, apart from the scratch state
+	 *
+	 * @param  {Object} layout App layout
+	 * @return {Array} State names
+	 */
+	getStateNames = function( layout ) {
+		return _.without(layout.qStateNames || [], fieldValues.SCRATCH_STATE);
 	},
 
 	/**
 	 * Get the app's variables information
 	 *
-	 * @param  {Object} app The app's API
-	 * @return {Promise}    List of app variables
+	 * @param  {Object} app     The app's API
+	 * @param  {Object} options Optional. Inspection options, like `watch`
+	 * @return {Promise}        List of app variables
 	 */
-	getVariableInfo = function( app ) {
-		return appInfo.variables(app.id, { validate: true, qIsReserved: false }).then( function( info ) {
+	getVariableInfo = function( app, options ) {
+		return appInfo.variables(app.id, { validate: true, qIsReserved: false, watch: options && options.watch }).then( function( info ) {
 			var infoList = info.map( function( a ) {
 
 				// Define additional search terms
@@ -490,11 +730,12 @@ define([
 	/**
 	 * Get the app's bookmarks information
 	 *
-	 * @param  {Object} app The app's API
-	 * @return {Promise}    List of app bookmarks
+	 * @param  {Object} app     The app's API
+	 * @param  {Object} options Optional. Inspection options, like `watch`
+	 * @return {Promise}        List of app bookmarks
 	 */
-	getBookmarkInfo = function( app ) {
-		return appInfo.bookmarks(app.id, { validate: true }).then( function( info ) {
+	getBookmarkInfo = function( app, options ) {
+		return appInfo.bookmarks(app.id, { validate: true, watch: options && options.watch }).then( function( info ) {
 			return info.map( function( a ) {
 
 				// Define additional search terms
@@ -590,7 +831,8 @@ define([
 					}
 				},
 				layout: args.model,
-				profile: args.profile,
+				tableProfile: args.profile,
+				diagram: diagram.layout(args.model),
 				code: {
 					layout: {
 						label: "Datamodel",
@@ -601,6 +843,68 @@ define([
 		});
 	},
 
+	/**
+	 * Setup the profile of a field item
+	 *
+	 * Uses the engine's table profile data when available. Otherwise the profile
+	 * is calculated on demand with hypercubes, see `loadFieldProfile()`.
+	 *
+	 * @param  {Object} item    Field item
+	 * @param  {Object} table   Data model table of the field
+	 * @param  {String} name    Field name
+	 * @param  {Object} profile Optional. Table profile data by table name
+	 * @return {Void}
+	 */
+	setupFieldProfile = function( item, table, name, profile ) {
+		var data;
+
+		// Profile is available
+		if (profile) {
+			data = profile[table.qName].qProfiling.qFieldProfiling.find( function( c ) {
+				return c.qName === name;
+			});
+
+			item.profile = fieldProfile.fromTableProfile(data, table.qNoOfRows);
+			item.code = {
+				profile: {
+					label: "Profile",
+					value: JSON.stringify(data, null, "\t")
+				}
+			};
+		} else {
+			item.profileSource = {
+				field: name,
+				rows: table.qNoOfRows
+			};
+		}
+	},
+
+	/**
+	 * Load the profile of a field item with hypercubes
+	 *
+	 * @param  {Object} app  The app's API
+	 * @param  {Object} item Field item with `profileSource`
+	 * @return {Promise} Field profile
+	 */
+	loadFieldProfile = function( app, item ) {
+		if (item.profile || item.profileLoading || ! item.profileSource) {
+			return $q.resolve(item.profile);
+		}
+
+		item.profileLoading = true;
+		item.profileError = null;
+
+		return $q.resolve(fieldProfile.fromHypercube(app.model.enigmaModel, item.profileSource.field, item.profileSource.rows)).then( function( profile ) {
+			item.profile = profile;
+
+			return profile;
+		}).catch( function( error ) {
+			item.profileError = error.message || "The profile could not be calculated"; // Translation?
+		}).finally( function() {
+			item.profileLoading = false;
+		});
+	},
+
 	/**
 	 * Get the app's fields information
 	 *
@@ -630,6 +934,20 @@ define([
 						label: a.qName,
 						count: a.qCardinal,
 						icon: -1 !== a.qTags.indexOf("$key") ? "key" : "",
+						valueSource: {
+							field: a.qName
+						},
+						footprint: {
+							byteSize: a.qByteSize,
+							cardinality: a.qCardinal,
+							rows: fieldTables.reduce( function( rows, b ) {
+								var field = b.qFields.find( function( c ) {
+									return c.qName === a.qName;
+								});
+
+								return rows + (field.qnRows || b.qNoOfRows || 0);
+							}, 0)
+						},
 						details: {
 							table: {
 								label: translator.get("DataModelViewer.searchfield.fieldtype.table"),
@@ -654,33 +972,13 @@ define([
 								})
 							};
 
-							// Profile is available
-							if (args.datamodel.profile) {
-								item.code = {
-									profile: {
-										label: "Profile",
-										value: JSON.stringify(args.datamodel.profile[b.qName].qProfiling.qFieldProfiling.find( function( c ) {
-											return c.qName === a.qName;
-										}), null, "\t")
-									}
-								};
-							}
+							setupFieldProfile(item, b, a.qName, args.datamodel.tableProfile);
 
 							return prepareItem(item);
 						});
 					} else {
 
-						// Profile is available
-						if (args.datamodel.profile) {
-							item.code = {
-								profile: {
-									label: "Profile",
-									value: JSON.stringify(args.datamodel.profile[fieldTables[0].qName].qProfiling.qFieldProfiling.find( function( c ) {
-										return c.qName === a.qName;
-									}), null, "\t")
-								}
-							};
-						}
+						setupFieldProfile(item, fieldTables[0], a.qName, args.datamodel.tableProfile);
 
 						item.properties = fieldTables[0].qFields.find( function( c ) {
 							return c.qName === a.qName;
@@ -862,17 +1160,21 @@ define([
 			validation: app.model.enigmaModel.checkScriptSyntax(),
 			script: app.getScript()
 		}).then( function( args ) {
-			var infoList = [];
+			var infoList = [], parserState = {};
 
 			// List script sections
 			args.info.forEach( function( item ) {
 				item.code = item.code || {};
 
+				// Parse statements, continuing from the previous section
+				item.statements = script.parse(item.script, parserState);
+
 				// Setup code from script
 				if (item.hasOwnProperty("script") && ! item.code.hasOwnProperty("script")) {
 					item.code.script = {
 						label: "Script",
-						value: item.script
+						value: item.script,
+						lines: script.highlight(item.script)
 					};
 				}
 
@@ -883,10 +1185,18 @@ define([
 					args.validation.filter( function( a ) {
 						return a.qTabIx === item.index;
 					}).forEach( function( a ) {
-						item.errors.push({
+						var error = {
 							message: "Line ".concat(a.qLineInTab),
-							errorData: [util.substr_utf8_bytes(args.script.qScript, a.qTextPos, a.qErrLen)]
-						});
+							errorData: [util.substr_utf8_bytes(args.script.qScript, a.qTextPos, a.qErrLen)],
+							line: a.qLineInTab
+						}, line = item.code.script && item.code.script.lines && item.code.script.lines[a.qLineInTab - 1];
+
+						item.errors.push(error);
+
+						// Mark the failing line in the code view
+						if (line) {
+							line.errors = (line.errors || []).concat(error);
+						}
 					});
 				}
 
@@ -914,6 +1224,11 @@ define([
 			item.searchTerms += item.details.tags.value.join(" ").concat(" ");
 		}
 
+		// Show the time it took to load the item, apart from the details so exports stay the same
+		if (item.timing) {
+			item.loadTime = String(item.timing.duration).concat(" ms");
+		}
+
 		// Transform details to objects of name/label/value
 		for (i in item.details || {}) {
 
@@ -928,6 +1243,11 @@ define([
 						value: Array.isArray(value) ? value : [value],
 						isCode: !! item.details[i].isCode
 					});
+
+					// Link values to other items
+					if (item.details[i].navIds) {
+						_.last(details).navIds = item.details[i].navIds;
+					}
 				}
 			}
 		}
@@ -935,9 +1255,25 @@ define([
 		// Overwrite previously defined details to make it an array of labeled values
 		item.details = details;
 
-		// Initiate code collection
+		// Initiate code collection. Code is setup when the item is inspected.
 		if (! item.items) {
 			item.code = item.code || {};
+		}
+
+		return item;
+	},
+
+	/**
+	 * Setup the code of an item from its data
+	 *
+	 * Stringifying the data of all items up front is expensive for large apps,
+	 * so this is done when the item is inspected or exported.
+	 *
+	 * @param  {Object} item Prepared item
+	 * @return {Object} Item
+	 */
+	setupItemCode = function( item ) {
+		if (item.code) {
 
 			// Setup code from layout
 			if ( item.hasOwnProperty("layout") && ! item.code.hasOwnProperty("layout") ) {
@@ -968,434 +1304,3817 @@ define([
 	},
 
 	/**
-	 * Holds the global session options
+	 * Setup the statement details of the script sections
 	 *
-	 * @type {Object}
+	 * Statements that load into a table of the data model link to the data model item.
+	 *
+	 * @param  {Object} items Prepared items per asset
+	 * @return {Void}
 	 */
-	globalOpts = currApp.global.session.options,
+	setupScriptStatements = function( items ) {
+		var dataModel = _.findWhere(items.field, { id: "app.model.engineApp.getTablesAndKeys()" }),
+		    tableNames = dataModel ? _.pluck(dataModel.layout.qtr, "qName") : [];
+
+		items.script.forEach( function( item ) {
+			if (! item.statements || ! item.statements.length) {
+				return;
+			}
+
+			item.details.push({
+				name: "statements",
+				label: "Statements", // Translation?
+				value: item.statements.map(script.describe),
+				navIds: item.statements.map( function( a ) {
+					return a.table && ! a.isMapping && -1 !== tableNames.indexOf(a.table) ? dataModel.id : null;
+				}),
+				isCode: true
+			});
+
+			item.searchTerms += _.compact(_.pluck(item.statements, "table")).join(" ").concat(" ");
+		});
+	},
 
 	/**
-	 * Holds the app's global baseURI
+	 * Setup the variable dependencies of the items' expressions
 	 *
-	 * Differs from qUtil.baseURI in that it does not assume the 'sense' project
-	 * directly following the prefix. This is relevant for setting up `single` urls.
+	 * Adds the recursively resolved variables and the expanded text of the expressions
+	 * to the item's details. Circular references and references to undefined variables
+	 * are added to the item's errors.
 	 *
-	 * @return {String}
+	 * @param  {Object} items       Prepared items per asset
+	 * @param  {Object} definitions Variable definitions by name
+	 * @return {Void}
 	 */
-	baseURI = (globalOpts.isSecure ? "https://" : "http://").concat(globalOpts.host, ":", globalOpts.port, globalOpts.prefix.replace(/\/+$/g, ""), "/"),
+	setupExpressionDependencies = function( items, definitions ) {
+		var variableIds = {},
+
+		/**
+		 * Setup the dependencies of a single item
+		 *
+		 * @param  {Object} item   Prepared item
+		 * @param  {Array}  path   Names of the variables being resolved
+		 * @param  {Object} parent Optional. Parent item
+		 * @return {Void}
+		 */
+		setupItem = function( item, path, parent ) {
+			var variables = [], errors = [], expanded = [];
+
+			(item.expressions || []).forEach( function( a ) {
+				var resolved = expression.resolveVariables(a.expression, definitions, path);
+
+				variables.push.apply(variables, resolved.variables);
+
+				resolved.circular.forEach( function( b ) {
+					errors.push({
+						message: "Circular variable reference", // Translation?
+						errorData: [b.join(" > ")]
+					});
+				});
+
+				resolved.undefined.forEach( function( b ) {
+					errors.push({
+						message: "Undefined variable", // Translation?
+						errorData: [b.join(" > ")]
+					});
+				});
+
+				if ("string" === typeof a.expanded && a.expanded !== a.expression) {
+					expanded.push(a.expanded);
+				}
+			});
+
+			variables = _.uniq(variables, false, function( a ) {
+				return a.path.join(" > ");
+			});
+
+			if (variables.length) {
+				item.details.push({
+					name: "variables",
+					label: translator.get("Common.Variables"),
+					value: variables.map( function( a ) {
+						return a.path.slice(path.length).join(" > ");
+					}),
+					navIds: variables.map( function( a ) {
+						return variableIds[a.name];
+					}),
+					isCode: true
+				});
+			}
+
+			if (expanded.length) {
+				item.details.push({
+					name: "expanded",
+					label: "Expanded", // Translation?
+					value: _.uniq(expanded),
+					isCode: true
+				});
+			}
+
+			// Add errors
+			errors = _.uniq(errors, false, function( a ) {
+				return a.message.concat(a.errorData[0]);
+			});
+
+			if (errors.length) {
+				item.errors = (item.errors || []).concat(errors);
+				item.icon = "debug";
+
+				if (parent) {
+					parent.icon = "debug";
+				}
+			}
+		};
+
+		items.variable.forEach( function( a ) {
+			variableIds[a.label] = a.id;
+		});
+
+		["dimension", "measure", "masterObject", "variable", "chart", "extension"].forEach( function( asset ) {
+			items[asset].forEach( function( a ) {
+
+				// Variables start resolving with their own name
+				setupItem(a, "variable" === asset ? [a.label] : []);
+
+				(a.items || []).forEach( function( b ) {
+					setupItem(b, [], a);
+				});
+			});
+		});
+	},
 
 	/**
-	 * Return the url for a single sheet
+	 * Setup the lint warnings of the items' expressions
 	 *
-	 * @param  {Object} options Url options
-	 * @return {String} Single sheet url
+	 * Expressions of master items and variables are linted as master expressions,
+	 * so they are not reported as duplicates.
+	 *
+	 * @param  {Object} items Prepared items per asset
+	 * @return {Void}
 	 */
-	getSingleSheetUrl = function( options ) {
-		options = options || {};
-		options.opts = options.opts || "nointeraction,noselections";
+	setupLintWarnings = function( items ) {
+		var entries = [], fieldCardinality = {},
 
-		return baseURI.concat("single/?appid=", encodeURIComponent(options.appId), "&sheet=", options.sheetId, "&opt=", options.opts);
+		/**
+		 * Add the expressions of an item to the lint entries
+		 *
+		 * @param  {Object}  item     Prepared item
+		 * @param  {Boolean} isMaster Whether the item is a master item
+		 * @param  {Object}  parent   Optional. Parent item
+		 * @return {Void}
+		 */
+		addEntries = function( item, isMaster, parent ) {
+			(item.expressions || []).forEach( function( a ) {
+				entries.push({
+					id: item.id,
+					expression: a.expression,
+					isMaster: isMaster,
+					item: item,
+					parent: parent
+				});
+			});
+		};
+
+		items.field.forEach( function( a ) {
+			fieldCardinality[a.id] = a.count;
+		});
+
+		["dimension", "measure", "masterObject", "variable", "chart", "extension"].forEach( function( asset ) {
+			var isMaster = -1 === ["chart", "extension"].indexOf(asset);
+
+			items[asset].forEach( function( a ) {
+				addEntries(a, isMaster);
+
+				(a.items || []).forEach( function( b ) {
+					addEntries(b, isMaster, a);
+				});
+			});
+		});
+
+		lint.lint(entries, { fieldCardinality: fieldCardinality }).forEach( function( a ) {
+			var item = a.entry.item;
+
+			item.warnings = item.warnings || [];
+			item.warnings.push({
+				rule: a.rule,
+				severity: a.severity,
+				message: a.message,
+				errorData: a.errorData
+			});
+			item.hasWarnings = true;
+
+			if (a.entry.parent) {
+				a.entry.parent.hasWarnings = true;
+			}
+		});
 	},
 
 	/**
-	 * Return the url for a single visualization object
+	 * Return the references in an object's properties
 	 *
-	 * @param  {Object} options Url options
-	 * @return {String} Single visualization url
+	 * Walks the properties for library ids and for expressions in field definitions,
+	 * measure definitions, labels and other value expressions.
+	 *
+	 * @param  {Object} props Object properties
+	 * @return {Object} References with `expressions` and `libraryIds`
 	 */
-	getSingleVizUrl = function( options ) {
-		options = options || {};
-		options.opts = options.opts || "nointeraction,noselections";
+	getPropertyReferences = function( props ) {
+		var refs = { expressions: [], libraryIds: [] };
+
+		(function walk( obj ) {
+			_.each(obj, function( value, key ) {
+				if ("string" === typeof value) {
+					if (! value.length) {
+						return;
+					}
 
-		return baseURI.concat("single/?appid=", encodeURIComponent(options.appId), "&obj=", options.objId, "&opt=", options.opts);
+					if ("qLibraryId" === key || "qExtendsId" === key) {
+						refs.libraryIds.push(value);
+					} else if (-1 !== ["qDef", "qExpr", "qLabelExpression", "qDefinition"].indexOf(key)) {
+						refs.expressions.push(value);
+					}
+				} else if ("qFieldDefs" === key && Array.isArray(value)) {
+					refs.expressions.push.apply(refs.expressions, value.filter(_.isString));
+				} else if (value && "object" === typeof value) {
+					walk(value);
+				}
+			});
+		})(props || {});
+
+		return refs;
 	},
 
 	/**
-	 * Holds the list of assets in the inspector modal
+	 * Return the display title of a sheet object
 	 *
-	 * @type {Array}
+	 * @param  {Object} props Object properties
+	 * @return {String} Object title
 	 */
-	assets = [{
-		"id": "app",
-		"label": translator.get("App") // Translation available?
-	}, {
-		"id": "errors",
-		"label": translator.get("Errors") // Translation available?
-	}, {
-		"id": "script",
-		"label": translator.get("Script") // Translation available?
-	}, {
-		"id": "field",
-		"label": translator.get("Common.Fields")
-	}, {
-		"id": "sheet",
-		"label": translator.get("Common.Sheets")
-	}, {
-		"id": "chart",
-		"label": translator.get("Common.Charts")
-	}, {
-		"id": "extension",
-		"label": translator.get("Common.Extensions")
-	}, {
-		"id": "dimension",
-		"label": translator.get("Common.MasterDimensions")
-	}, {
-		"id": "measure",
-		"label": translator.get("Common.MasterMeasures")
-	}, {
-		"id": "masterObject",
-		"label": translator.get("library.Visualizations")
-	}, {
-		"id": "alternate-state",
-		"label": translator.get("Common.AlternateStates")
-	}, {
-		"id": "variable",
-		"label": translator.get("Common.Variables")
-	}, {
-		"id": "bookmark",
-		"label": translator.get("Common.Bookmarks")
-	}],
+	getObjectTitle = function( props ) {
+		return "string" === typeof props.title && props.title.length
+			? props.title
+			: (props.qMetaDef && props.qMetaDef.title || props.qInfo.qType);
+	},
 
 	/**
-	 * Return the asset's label
+	 * Setup the usage index of fields, variables and master items
 	 *
-	 * @param  {String} id Asset id
-	 * @return {String} Asset label
+	 * Collects the references of sheet objects, master items, variables, bookmarks
+	 * and script sections. Each referenced item gets a 'Used by' detail, linking to
+	 * the items that use it. Fields and master items that are not used are flagged
+	 * as unused. References from the script are listed, but do not count as usage
+	 * since the script defines all fields.
+	 *
+	 * @param  {Object} items Prepared items per asset
+	 * @return {Void}
 	 */
-	getAssetLabel = function( id ) {
-		return _.first(_.pluck(_.where(assets, { id: id }), "label"));
+	setupUsageIndex = function( items ) {
+		var targets = {}, usage = {}, measureLabels = {},
+
+		/**
+		 * Register a user of a target
+		 *
+		 * @param  {String} key  Target key
+		 * @param  {Object} user User with `id`, `label` and `isScript`
+		 * @return {Void}
+		 */
+		addUsage = function( key, user ) {
+			if (targets.hasOwnProperty(key)) {
+				usage[key] = usage[key] || [];
+				usage[key].push(user);
+			}
+		},
+
+		/**
+		 * Register the references of a set of expressions
+		 *
+		 * @param  {Array}  expressions Expressions
+		 * @param  {Object} user        User with `id`, `label` and `isScript`
+		 * @return {Void}
+		 */
+		addExpressionUsage = function( expressions, user ) {
+			expressions.forEach( function( a ) {
+				var refs = expression.getReferences(a);
+
+				refs.names.forEach( function( name ) {
+					addUsage("field:".concat(name), user);
+
+					// Variables and master measures can be used by name in expressions
+					if (! user.isScript) {
+						addUsage("variable:".concat(name), user);
+
+						if (measureLabels.hasOwnProperty(name)) {
+							addUsage("master:".concat(measureLabels[name]), user);
+						}
+					}
+				});
+
+				refs.variables.forEach( function( name ) {
+					addUsage("variable:".concat(name), user);
+				});
+			});
+		},
+
+		/**
+		 * Register the references of an object's properties
+		 *
+		 * @param  {Object} props Object properties
+		 * @param  {Object} user  User with `id` and `label`
+		 * @return {Void}
+		 */
+		addPropertyUsage = function( props, user ) {
+			var refs = getPropertyReferences(props);
+
+			refs.libraryIds.forEach( function( id ) {
+				addUsage("master:".concat(id), user);
+			});
+
+			addExpressionUsage(refs.expressions, user);
+		};
+
+		// Register fields, skipping the data model
+		items.field.forEach( function( a ) {
+			if (! (a.layout && a.layout.qtr)) {
+				targets["field:".concat(a.id)] = a;
+			}
+		});
+
+		// Register variables, skipping system variables
+		items.variable.forEach( function( a ) {
+			if (a.properties && a.properties.qName) {
+				targets["variable:".concat(a.label)] = a;
+			}
+		});
+
+		// Register master items
+		["dimension", "measure", "masterObject"].forEach( function( asset ) {
+			items[asset].forEach( function( a ) {
+				targets["master:".concat(a.id)] = a;
+			});
+		});
+
+		items.measure.forEach( function( a ) {
+			measureLabels[a.label] = a.id;
+		});
+
+		// Sheet objects
+		items.sheet.forEach( function( sheet ) {
+			(sheet.visualizations || []).forEach( function( a ) {
+				var user = {
+					id: a.cell.name,
+					label: sheet.label.concat(" / ", getObjectTitle(a.properties))
+				};
+
+				addPropertyUsage(a.properties, user);
+				addPropertyUsage(a.children, user);
+			});
+		});
+
+		// Master items and variables
+		["dimension", "measure", "masterObject", "variable"].forEach( function( asset ) {
+			items[asset].forEach( function( a ) {
+				var user = {
+					id: a.id,
+					label: getAssetLabel(asset).concat(" / ", a.label)
+				};
+
+				addPropertyUsage(a.properties, user);
+				addPropertyUsage(a.children, user);
+			});
+		});
+
+		// Bookmarks
+		items.bookmark.forEach( function( a ) {
+			var user = {
+				id: a.id,
+				label: getAssetLabel("bookmark").concat(" / ", a.label)
+			};
+
+			((a.layout && a.layout.qFieldInfos) || []).forEach( function( b ) {
+				addUsage("field:".concat(b.qFieldName), user);
+			});
+		});
+
+		// Script sections
+		items.script.forEach( function( a ) {
+			if ("string" === typeof a.script) {
+				addExpressionUsage([a.script], {
+					id: a.id,
+					label: getAssetLabel("script").concat(" / ", a.label),
+					isScript: true
+				});
+			}
+		});
+
+		// Setup usage details
+		_.each(targets, function( item, key ) {
+			var users = _.uniq(usage[key] || [], false, function( a ) {
+				return a.id;
+			}).filter( function( a ) {
+
+				// Ignore self-references
+				return a.id !== item.id;
+			});
+
+			item.usedBy = users;
+
+			if (users.length) {
+				item.details.push({
+					name: "usedBy",
+					label: "Used by", // Translation?
+					value: _.pluck(users, "label"),
+					navIds: _.pluck(users, "id")
+				});
+			}
+
+			// Flag unused fields and master items. Key fields are used for associations.
+			if (0 !== key.indexOf("variable:") && "key" !== item.icon && ! _.find(users, function( a ) { return ! a.isScript; })) {
+				item.isUnused = true;
+				item.searchTerms += "unused ";
+			}
+		});
 	},
 
 	/**
-	 * Extension controller function
+	 * Return the groups of duplicate measure expressions
 	 *
-	 * @param  {Object} $scope Extension scope
-	 * @param  {Object} $el Scope's jQuery element
-	 * @return {Void}
+	 * Collects the measures of sheet objects that are not linked to a master measure
+	 * and the master measures. Expressions are grouped by their normalized text. Groups
+	 * are listed when their expression is used in multiple places.
+	 *
+	 * @param  {Object} items Prepared items per asset
+	 * @return {Array} Duplicate items
 	 */
-	controller = ["$scope", "$element", function( $scope, $el ) {
+	getDuplicateItems = function( items ) {
+		var groups = {}, ids = {},
 
 		/**
-		 * Define a two-tiered state-machine for handling events
+		 * Add an expression to its group
 		 *
-		 * @type {StateMachine}
+		 * @param  {String} text       Expression
+		 * @param  {Object} occurrence Occurrence with `id`, `label`, `sheetId`, `sheetLabel` and `isMaster`
+		 * @return {Void}
 		 */
-		var fsm = new util.StateMachine({
-			transitions: [{
-				from: "IDLE", to: "MODAL", name: "OPEN"
-			}, {
-				from: "MODAL", to: "IDLE", name: "CLOSE"
-			}],
-			on: {
-				enterModal: function( lifecycle, app ) {
-					showAppInspectorForApp(app);
-				}
+		addExpression = function( text, occurrence ) {
+			var key;
+
+			if ("string" !== typeof text || ! text.trim().length) {
+				return;
 			}
-		}),
+
+			// Group by the normalized expression, since hashes may collide
+			key = expression.normalize(text);
+			groups[key] = groups[key] || { hash: expression.hash(text), expressions: [], occurrences: [] };
+			groups[key].expressions.push(text);
+			groups[key].occurrences.push(occurrence);
+		},
 
 		/**
-		 * Holds the modal for the App Inspector
+		 * Return the non-master measure definitions of an object
 		 *
-		 * @type {Object}
+		 * @param  {Object} props Object properties
+		 * @return {Array} Measure expressions
 		 */
-		modal,
+		getMeasureExpressions = function( props ) {
+			return (props && props.qHyperCubeDef ? props.qHyperCubeDef.qMeasures : []).filter( function( a ) {
+				return ! a.qLibraryId && a.qDef;
+			}).map( function( a ) {
+				return a.qDef.qDef;
+			});
+		};
+
+		// Sheet objects
+		items.sheet.forEach( function( sheet ) {
+			(sheet.visualizations || []).forEach( function( a ) {
+				var occurrence = {
+					id: a.cell.name,
+					label: sheet.label.concat(" / ", getObjectTitle(a.properties)),
+					sheetId: sheet.id,
+					sheetLabel: sheet.label
+				};
+
+				getMeasureExpressions(a.properties).concat(_.flatten((a.children || []).map( function( b ) {
+					return getMeasureExpressions(b.qProperty);
+				}))).forEach( function( text ) {
+					addExpression(text, occurrence);
+				});
+			});
+		});
+
+		// Master measures
+		items.measure.forEach( function( a ) {
+			addExpression(a.properties && a.properties.qMeasure.qDef, {
+				id: a.id,
+				label: a.label,
+				isMaster: true
+			});
+		});
+
+		return _.values(groups).map( function( group ) {
+			var objects = _.uniq(group.occurrences.filter( function( a ) { return ! a.isMaster; }), false, function( a ) { return a.id; }),
+			    masters = _.uniq(group.occurrences.filter( function( a ) { return a.isMaster; }), false, function( a ) { return a.id; }),
+			    sheets = _.uniq(objects, false, function( a ) { return a.sheetId; });
+
+			return {
+				group: group,
+				objects: objects,
+				masters: masters,
+				sheets: sheets
+			};
+		}).filter( function( a ) {
+			return a.objects.length + a.masters.length > 1;
+		}).sort( function( a, b ) {
+			return b.group.occurrences.length - a.group.occurrences.length;
+		}).map( function( a ) {
+			var id = "duplicate-".concat(a.group.hash);
+
+			// Keep item ids unique for colliding hashes
+			ids[id] = (ids[id] || 0) + 1;
+			if (ids[id] > 1) {
+				id = id.concat("-", ids[id]);
+			}
+
+			return prepareItem({
+				id: id,
+				label: a.group.expressions[0].replace(/\s+/g, " ").trim(),
+				count: a.group.occurrences.length,
+				icon: a.masters.length ? "library" : "",
+				details: {
+					expression: {
+						label: translator.get("Common.Expression"),
+						value: _.uniq(a.group.expressions),
+						isCode: true
+					},
+					hash: {
+						label: "Hash", // Translation?
+						value: a.group.hash
+					},
+					objects: {
+						label: translator.get("library.Visualizations"),
+						value: _.pluck(a.objects, "label"),
+						navIds: _.pluck(a.objects, "id")
+					},
+					sheets: {
+						label: translator.get("Common.Sheets"),
+						value: _.pluck(a.sheets, "sheetLabel"),
+						navIds: _.pluck(a.sheets, "sheetId")
+					},
+					masterMeasures: {
+						label: "Matching master measures", // Translation?
+						value: _.pluck(a.masters, "label"),
+						navIds: _.pluck(a.masters, "id")
+					}
+				},
+				searchTerms: _.pluck(a.masters, "label").concat(_.pluck(a.sheets, "sheetLabel")).join(" ").concat(" ")
+			});
+		});
+	},
+
+	/**
+	 * Return the lines of a tree of upstream sources
+	 *
+	 * @param  {Array}  sources Upstream sources with `children`
+	 * @param  {String} indent  Optional. Line prefix
+	 * @return {Array} Tree lines
+	 */
+	getSourceTreeLines = function( sources, indent ) {
+		indent = indent || "";
+
+		return _.flatten(sources.map( function( a, ix ) {
+			var isLast = ix === sources.length - 1;
+
+			return [indent.concat(isLast ? "└─ " : "├─ ", script.describeSource(a))].concat(getSourceTreeLines(a.children, indent.concat(isLast ? "   " : "│  ")));
+		}), 1);
+	},
+
+	/**
+	 * Return the data lineage items
+	 *
+	 * Combines the script's load statements with the tables of the data model. Each
+	 * table lists its upstream sources and tables derived from it, each field the
+	 * tree of sources it is loaded from. Fields that cannot be traced to a script
+	 * statement are reported as warnings.
+	 *
+	 * @param  {Object} items Prepared items per asset
+	 * @return {Array} Lineage items
+	 */
+	getLineageItems = function( items ) {
+		var dataModel = _.findWhere(items.field, { id: "app.model.engineApp.getTablesAndKeys()" }), lineage, modelTables;
+
+		if (! dataModel) {
+			return [];
+		}
+
+		lineage = script.lineage(_.flatten(items.script.map( function( a ) {
+			return (a.statements || []).map( function( b ) {
+				return _.extend({ section: a.label }, b);
+			});
+		}), 1));
+
+		modelTables = _.pluck(dataModel.layout.qtr.filter( function( a ) {
+			return ! a.qIsSynthetic;
+		}), "qName");
+
+		return modelTables.map( function( name ) {
+			var table = lineage[name], sources = script.upstream(lineage, name), untraced = [], fieldItems, derived;
+
+			fieldItems = _.findWhere(dataModel.layout.qtr, { qName: name }).qFields.filter( function( a ) {
+				return -1 === (a.qTags || []).indexOf("$synthetic");
+			}).map( function( a ) {
+				var isTraced = !! table && (table.fields.hasOwnProperty(a.qName) || table.hasWildcard),
+				    fieldSources = isTraced ? script.upstream(lineage, name, a.qName) : [];
+
+				if (! isTraced) {
+					untraced.push(a.qName);
+				}
+
+				return prepareItem({
+					id: name.concat(" / ", a.qName),
+					details: {
+						field: {
+							label: translator.get("Common.Field"),
+							value: a.qName,
+							navIds: [a.qName]
+						},
+						sources: {
+							label: "Sources", // Translation?
+							value: fieldSources.map(script.describeSource),
+							navIds: fieldSources.map( function( b ) {
+								return "resident" === b.type && -1 !== modelTables.indexOf(b.value) ? "lineage-".concat(b.value) : null;
+							})
+						}
+					},
+					warnings: isTraced ? [] : [{
+						rule: "untraced-field",
+						severity: lint.SEVERITY.warning,
+						message: "Field cannot be traced to a script statement", // Translation?
+						errorData: [a.qName]
+					}],
+					code: {
+						lineage: {
+							label: "Lineage", // Translation?
+							value: [name.concat(".", a.qName)].concat(getSourceTreeLines(fieldSources)).join("\n")
+						}
+					}
+				});
+			});
+
+			derived = table ? table.derived : [];
+
+			return prepareItem({
+				id: "lineage-".concat(name),
+				label: name,
+				count: table ? table.sources.length : 0,
+				hasWarnings: !! untraced.length,
+				searchTerms: _.uniq(_.compact(_.pluck(sources, "value"))).join(" ").concat(" "),
+				details: {
+					table: {
+						label: translator.get("DataModelViewer.searchfield.fieldtype.table"),
+						value: name,
+						navIds: [dataModel.id]
+					},
+					sources: {
+						label: "Sources", // Translation?
+						value: sources.map(script.describeSource),
+						navIds: sources.map( function( a ) {
+							return "resident" === a.type && -1 !== modelTables.indexOf(a.value) ? "lineage-".concat(a.value) : null;
+						})
+					},
+					upstream: {
+						label: "Upstream", // Translation?
+						value: getSourceTreeLines(sources),
+						isCode: true
+					},
+					derived: {
+						label: "Derived tables", // Translation?
+						value: derived,
+						navIds: derived.map( function( a ) {
+							return -1 !== modelTables.indexOf(a) ? "lineage-".concat(a) : null;
+						})
+					},
+					untraced: {
+						label: "Untraced fields", // Translation?
+						value: untraced
+					}
+				},
+				items: fieldItems
+			});
+		});
+	},
+
+	/**
+	 * Setup the memory footprint of the data model
+	 *
+	 * Adds the estimated size to each field and a footprint item to the fields,
+	 * ranking the largest tables and fields and listing the easy wins. Easy wins
+	 * are also reported as warnings on their field.
+	 *
+	 * @param  {Object} items Prepared items per asset, with setup usage index
+	 * @return {Void}
+	 */
+	setupFootprint = function( items ) {
+		var dataModel = _.findWhere(items.field, { id: "app.model.engineApp.getTablesAndKeys()" }),
+		    qrsApp = _.findWhere(items.app, { id: "/qrs/app/{id}" }),
+		    fieldItems = items.field.filter( function( a ) { return !! a.footprint; }),
+		    estimate, wins,
 
 		/**
-		 * Open the object app importer modal for the selected app
+		 * Return the size with its share of the total size
 		 *
-		 * @param  {Object} appId Selected app
-		 * @return {Void}
+		 * @param  {Number} bytes Size in bytes
+		 * @return {String} Formatted size
 		 */
-		showAppInspectorForApp = async function( appId ) {
-			var app = await openApp(appId);
+		formatShare = function( bytes ) {
+			return util.formatBytes(bytes).concat(estimate.bytes ? " (".concat(Math.round(bytes / estimate.bytes * 100), "%)") : "");
+		};
+
+		if (! dataModel) {
+			return;
+		}
+
+		estimate = footprint.estimate(dataModel.layout.qtr, fieldItems.map( function( a ) {
+			var tags = _.findWhere(a.details, { name: "tags" });
+
+			return {
+				name: a.id,
+				byteSize: a.footprint.byteSize,
+				cardinality: a.footprint.cardinality,
+				tags: tags ? tags.value : [],
+				isUnused: !! a.isUnused
+			};
+		}));
+		wins = footprint.easyWins(estimate);
+
+		// Field sizes
+		estimate.fields.forEach( function( a ) {
+			var item = _.findWhere(fieldItems, { id: a.name });
+
+			item.footprint.bytes = a.bytes;
+			item.details.push({
+				name: "estimatedSize",
+				label: "Estimated size", // Translation?
+				value: [formatShare(a.bytes), "Symbols: ".concat(util.formatBytes(a.symbolBytes)), "Pointers: ".concat(util.formatBytes(a.pointerBytes))], // Translation?
+				isCode: false
+			});
+		});
+
+		// Report easy wins on their fields
+		wins.forEach( function( a ) {
+			var item = _.findWhere(fieldItems, { id: a.field.name });
+
+			item.warnings = (item.warnings || []).concat({
+				rule: "footprint",
+				severity: lint.SEVERITY.info,
+				message: a.reason,
+				errorData: [util.formatBytes(a.field.bytes)]
+			});
+			item.hasWarnings = true;
+		});
+
+		items.field.splice(items.field.indexOf(dataModel) + 1, 0, prepareItem({
+			id: "app.model.footprint",
+			label: "Memory footprint", // Translation?
+			count: wins.length,
+			details: {
+				fileSize: {
+					label: "File size", // Translation?
+					value: qrsApp && qrsApp.layout.fileSize ? util.formatBytes(qrsApp.layout.fileSize) : null
+				},
+				estimatedSize: {
+					label: "Estimated size", // Translation?
+					value: util.formatBytes(estimate.bytes)
+				},
+				tables: {
+					label: "Largest tables", // Translation?
+					value: estimate.tables.slice(0, 10).map( function( a ) {
+						return a.name.concat(": ", formatShare(a.bytes));
+					}),
+					navIds: estimate.tables.slice(0, 10).map( function( a ) {
+						return "lineage-".concat(a.name);
+					})
+				},
+				fields: {
+					label: "Largest fields", // Translation?
+					value: estimate.fields.slice(0, 20).map( function( a ) {
+						return a.name.concat(": ", formatShare(a.bytes));
+					}),
+					navIds: _.pluck(estimate.fields.slice(0, 20), "name")
+				},
+				easyWins: {
+					label: "Easy wins", // Translation?
+					value: wins.map( function( a ) {
+						return a.field.name.concat(": ", a.reason);
+					}),
+					navIds: wins.map( function( a ) {
+						return a.field.name;
+					})
+				}
+			},
+			code: {
+				footprint: {
+					label: "Footprint", // Translation?
+					value: JSON.stringify({
+						bytes: estimate.bytes,
+						tables: estimate.tables,
+						fields: estimate.fields.map( function( a ) {
+							return _.pick(a, "name", "bytes", "symbolBytes", "pointerBytes", "cardinality", "tables");
+						})
+					}, null, "\t")
+				}
+			}
+		}));
+	},
+
+	/**
+	 * Return the items that are not used in the app
+	 *
+	 * Lists unused fields, master items and variables. Variables are unused when
+	 * they are not even used in the script. Fields are sorted by their size.
+	 *
+	 * @param  {Object} items Prepared items per asset, with setup usage index
+	 * @return {Array} Cleanup items
+	 */
+	getCleanupItems = function( items ) {
+		var list = [];
+
+		["field", "dimension", "measure", "masterObject", "variable"].forEach( function( asset ) {
+			items[asset].filter( function( a ) {
+				return "variable" === asset ? a.usedBy && ! a.usedBy.length : a.isUnused;
+			}).sort( function( a, b ) {
+				return a.footprint && b.footprint ? b.footprint.byteSize - a.footprint.byteSize : 0;
+			}).forEach( function( a ) {
+				list.push(prepareItem({
+					id: "cleanup-".concat(asset, "-", a.id),
+					label: a.label,
+					asset: asset,
+					target: a,
+					details: {
+						item: {
+							label: getAssetLabel(asset),
+							value: a.label,
+							navIds: [a.id]
+						},
+						byteSize: {
+							label: "Size", // Translation?
+							value: a.footprint ? util.formatBytes(a.footprint.byteSize) : null
+						},
+						rows: {
+							label: translator.get("Common.Rows"),
+							value: a.footprint ? String(a.footprint.rows) : null
+						},
+						cardinality: {
+							label: "Distinct values", // Translation?
+							value: a.footprint ? String(a.footprint.cardinality) : null
+						},
+						usedBy: {
+							label: "Used by", // Translation?
+							value: _.pluck(a.usedBy || [], "label"),
+							navIds: _.pluck(a.usedBy || [], "id")
+						}
+					},
+					searchTerms: getAssetLabel(asset).concat(" ")
+				}));
+			});
+		});
+
+		return list;
+	},
+
+	/**
+	 * Return the CSV document of the cleanup items
+	 *
+	 * @param  {Array} items Cleanup items
+	 * @return {String} CSV document
+	 */
+	getCleanupCsv = function( items ) {
+		return exportUtil.csv([
+			{ name: "asset", label: "Asset" },
+			{ name: "id", label: "Id" },
+			{ name: "label", label: "Label" },
+			{ name: "byteSize", label: "Size (bytes)" },
+			{ name: "rows", label: "Rows" },
+			{ name: "cardinality", label: "Distinct values" },
+			{ name: "usedBy", label: "Used by script" }
+		], items.map( function( a ) {
+			return {
+				asset: getAssetLabel(a.asset),
+				id: a.target.id,
+				label: a.label,
+				byteSize: a.target.footprint ? a.target.footprint.byteSize : null,
+				rows: a.target.footprint ? a.target.footprint.rows : null,
+				cardinality: a.target.footprint ? a.target.footprint.cardinality : null,
+				usedBy: _.pluck(a.target.usedBy || [], "label").join("; ")
+			};
+		}));
+	},
+
+	/**
+	 * Holds the loaders of the app's inspection data
+	 *
+	 * Each loader provides the items of its assets. A loader that requires the data
+	 * of another loader is started when that data is loaded. Loaders receive the app,
+	 * the inspection options and the required data. The `watch` option of live
+	 * inspections is called with each engine object that the loader opens. The
+	 * `objectType` names the type of these engine objects, so the objects of cached
+	 * items can be opened for watching as well. Loaders with `cache: false` are not
+	 * cached, but are loaded again for cached inspections.
+	 *
+	 * @type {Array}
+	 */
+	inspectionLoaders = [{
+		id: "app",
+		assets: ["app"],
+		load: getAppInfo
+	}, {
+		id: "script",
+		assets: ["script"],
+		load: getScriptInfo
+	}, {
+		id: "field",
+		assets: ["field"],
+		load: getFieldInfo
+	}, {
+		id: "sheet",
+		assets: ["sheet"],
+		load: function( app, options ) {
+
+			// Load the details of sheet objects on demand
+			return getSheetInfo(app, {
+				loadDetails: ! options.lazy
+			});
+		}
+	}, {
+		id: "extensionList",
+		assets: ["chart", "extension"],
+		requires: "sheet",
+
+		// Extensions can be installed without changing the app's cache key
+		cache: false,
+		load: function( app, options, sheetInfo ) {
+
+			// Fetch loaded extension list from app info, including the QEXT of the used extensions
+			return appInfo.extensions({
+				extensionIds: _.uniq(_.flatten(sheetInfo.map( function( sheet ) {
+					return (sheet.visualizations || []).map( function( object ) {
+						return object.properties.qInfo.qType;
+					});
+				})))
+			});
+		}
+	}, {
+		id: "dimension",
+		assets: ["dimension"],
+		objectType: "dimension",
+		load: getDimensionInfo
+	}, {
+		id: "measure",
+		assets: ["measure"],
+		objectType: "measure",
+		load: getMeasureInfo
+	}, {
+		id: "masterObject",
+		assets: ["masterObject"],
+		objectType: "masterObject",
+		load: getMasterObjectInfo
+	}, {
+		id: "alternate-state",
+		assets: ["alternate-state"],
+		load: getAlternateStateInfo
+	}, {
+		id: "variable",
+		assets: ["variable"],
+		objectType: "variable",
+		load: getVariableInfo
+	}, {
+		id: "bookmark",
+		assets: ["bookmark"],
+		objectType: "bookmark",
+		load: getBookmarkInfo
+	}, {
+		id: "variableDefinitions",
+		assets: [],
+		load: function( app ) {
+			return appInfo.variableDefinitions(app.id);
+		}
+	}],
+
+	/**
+	 * Holds the assets that are derived from the items of all other assets
+	 *
+	 * @type {Array}
+	 */
+	derivedAssets = ["errors", "cleanup", "duplicates", "lineage"],
+
+	/**
+	 * Return the prepared items of a loader's assets
+	 *
+	 * Items are prepared from a copy of the loaded data, so that they can be prepared
+	 * again when the inspection is rebuilt. Sheet objects are prepared with their
+	 * details when these were loaded on demand.
+	 *
+	 * @param  {Object} data   Loaded data per loader
+	 * @param  {Object} loader Inspection loader
+	 * @param  {Object} app    The app's API
+	 * @param  {String} type   Optional. Only prepare the items of sheet objects of this type
+	 * @return {Object}        Prepared items per asset
+	 */
+	prepareLoaderItems = function( data, loader, app, type ) {
+		var items = {}, sheetInfo, uniqObjects;
+
+		// Setup items derived from sheets
+		if ("extensionList" === loader.id) {
+			sheetInfo = data.sheet.map( function( sheet ) {
+				return _.extend({}, sheet, {
+					visualizations: (sheet.visualizations || []).filter( function( a ) {
+						return ! type || type === a.properties.qInfo.qType;
+					}).map( function( a ) {
+
+						// Apply the details of sheet objects that were loaded on demand
+						return data.objectDetails && data.objectDetails[a.cell.name]
+							? _.extend({ cell: a.cell }, util.copy(data.objectDetails[a.cell.name]))
+							: util.copy(a);
+					})
+				});
+			});
+
+			uniqObjects     = getUniqueAppObjectsFromSheets(sheetInfo, data.extensionList, app);
+			items.chart     = uniqObjects.filter( function( a ) { return ! a.isThirdParty; });
+			items.extension = uniqObjects.filter( function( a ) { return a.isThirdParty; });
+
+		} else if (loader.assets.length) {
+			items[loader.id] = util.copy(data[loader.id]).map(prepareItem);
+		}
+
+		return items;
+	},
+
+	/**
+	 * Setup the items that depend on the items of other assets
+	 *
+	 * Assets that failed to load are considered empty.
+	 *
+	 * @param  {Object} items Prepared items per asset
+	 * @param  {Object} data  Loaded data per loader
+	 * @return {Object}       Prepared items per asset
+	 */
+	setupDerivedItems = function( items, data ) {
+		var appProps, defaultBookmarkId, i;
+
+		// Default to empty assets
+		_.flatten(_.pluck(inspectionLoaders, "assets")).forEach( function( a ) {
+			items[a] = items[a] || [];
+		});
+
+		// Describe the script's statements
+		setupScriptStatements(items);
+
+		// Resolve variables in expressions
+		setupExpressionDependencies(items, data.variableDefinitions || {});
+
+		// Report best-practice problems in expressions
+		setupLintWarnings(items);
+
+		// Setup cross-references between items
+		setupUsageIndex(items);
+		setupFootprint(items);
+		items.cleanup = getCleanupItems(items);
+		items.duplicates = getDuplicateItems(items);
+		items.lineage = getLineageItems(items);
+
+		// Mark the default bookmark found in the AppPropsList
+		appProps = items.app.find( function( a ) {
+			return a.id === "AppPropsList";
+		});
+		defaultBookmarkId = appProps && appProps.layout.defaultBookmarkId;
+
+		if (!! defaultBookmarkId) {
+			for (i = 0; i < items.bookmark.length; i++) {
+				if (items.bookmark[i].id === defaultBookmarkId) {
+					items.bookmark[i].icon = "bookmark";
+					items.bookmark[i].details.push({
+						id: "default",
+						label: translator.get("Bookmarks.StartBookmark"),
+						value: [translator.get("Bookmarks.StartBookmark.Hint")]
+					});
+					break;
+				}
+			}
+		}
+
+		// Collect errors and warnings
+		items.errors = [];
+		for (i in items) {
+			if (items.hasOwnProperty(i) && -1 === derivedAssets.indexOf(i)) {
+				items[i].forEach( function( a ) {
+					if ((a.errors && a.errors.length) || (a.warnings && a.warnings.length)) {
+						a.asset = i;
+						items.errors.push(a);
+					}
+
+					// Add individual errors and warnings from sub-items
+					if (a.items && a.items.length) {
+						a.items.forEach( function( b ) {
+							if ((b.errors && b.errors.length) || (b.warnings && b.warnings.length)) {
+								b.asset = i;
+								b.label = a.label;
+
+								if (b.errors && b.errors.length) {
+									b.icon = "debug";
+								}
+
+								items.errors.push(b);
+							}
+						});
+					}
+				});
+			}
+		}
+
+		return items;
+	},
+
+	/**
+	 * Load the app's inspection asset by asset
+	 *
+	 * Each loader runs independently, so that assets become available as soon as
+	 * their data is loaded. A failing loader only marks its own assets as failed.
+	 * The derived assets are setup when all loaders are settled.
+	 *
+	 * @param  {Object}   app              The app's API
+	 * @param  {Object}   options          Optional. Inspection options
+	 * @param  {Boolean}  options.lazy     Optional. Whether to load the details of sheet objects on demand
+	 * @param  {Boolean}  options.cache    Optional. Whether to load the data from and store it in the inspection cache
+	 * @param  {Function} options.onChange Optional. Called when the items or their status changed
+	 * @param  {Boolean}  options.live     Optional. Whether to update the items when the app's objects change
+	 * @return {Object} Inspection with `items`, `status` per asset, `errors` per loader, `detailsStatus` per object, `loadedAt`, `promise`, `retry()`, `refresh()`, `loadObjectDetails()`, `update()` and `close()`
+	 */
+	loadAppInspection = function( app, options ) {
+		var inspection = { items: {}, status: {}, errors: {}, detailsStatus: {}, loadedAt: null, isCached: false }, data = {}, loading = {}, settleCount = 0,
+		    hasLoaded = false, detailsLoading = {}, isLoadingDetails = false, detailsPassCount = 0, settleTimer = null, settleDfd = null,
+		    prepared = {}, watchers = [], pendingUpdate = [], updateTimer = null, isClosed = false, appLayout = app.model.layout,
+
+		/**
+		 * Return the cache key of the app's current state
+		 *
+		 * Without the app's modified date edits to the app cannot be detected, so the
+		 * inspection is not cached. The modified date is not available on QS Desktop.
+		 *
+		 * @return {String|Null} Cache key or `null` when the inspection cannot be cached
+		 */
+		getCacheKey = function() {
+			return app.model.layout.modifiedDate ? inspectionCache.getKey(app.id, app.model.layout.qLastReloadTime, app.model.layout.modifiedDate) : null;
+		},
+
+		/**
+		 * Set the status of the assets
+		 *
+		 * @param  {Array}   assetIds  Asset identifiers
+		 * @param  {Boolean} isLoading Whether the assets are loading
+		 * @param  {String}  error     Optional. Error message
+		 * @return {Void}
+		 */
+		setStatus = function( assetIds, isLoading, error ) {
+			assetIds.forEach( function( a ) {
+				inspection.status[a] = {
+					isLoading: isLoading,
+					error: error || null
+				};
+			});
+		},
+
+		/**
+		 * Notify the inspection changed
+		 *
+		 * @return {Void}
+		 */
+		notify = function() {
+			if (options.onChange && ! isClosed) {
+				options.onChange(inspection);
+			}
+		},
+
+		/**
+		 * Run the loader and prepare its items
+		 *
+		 * @param  {Object}  loader    Inspection loader
+		 * @param  {Boolean} keepItems Optional. Whether to keep the current items until all loaders are settled
+		 * @return {Promise} Loaded data
+		 */
+		runLoader = function( loader, keepItems ) {
+			setStatus(loader.assets, true);
+			delete inspection.errors[loader.id];
+
+			loading[loader.id] = (loader.requires ? loading[loader.requires] : $q.resolve()).then( function( requiredData ) {
+				return loader.load(app, getLoaderOptions(loader), requiredData);
+			}).then( function( result ) {
+				data[loader.id] = result;
+				hasLoaded = true;
+
+				// Show the items right away
+				if (! keepItems) {
+					_.extend(inspection.items, util.copy(prepareItems(loader)));
+				}
+
+				setStatus(loader.assets, false);
+				notify();
+
+				return result;
+			}).catch( function( error ) {
+				inspection.errors[loader.id] = error;
+				setStatus(loader.assets, false, error && error.message || String(error));
+				notify();
+
+				throw error;
+			});
+
+			return loading[loader.id];
+		},
+
+		/**
+		 * Prepare the items of the loader's assets
+		 *
+		 * The prepared items are kept apart, so the items of loaders that were not
+		 * loaded again can be copied when rebuilding, instead of being prepared again.
+		 *
+		 * @param  {Object} loader Inspection loader
+		 * @return {Object} Prepared items per asset
+		 */
+		prepareItems = function( loader ) {
+			prepared[loader.id] = prepareLoaderItems(data, loader, app);
+
+			return prepared[loader.id];
+		},
+
+		/**
+		 * Setup the derived items when all loaders are settled
+		 *
+		 * When rebuilding, the items are setup from the prepared items, since deriving
+		 * items changes them. Only the items of the given loaders are prepared again.
+		 *
+		 * @param  {Boolean|Array} rebuild Optional. Whether to rebuild the items, or the loaders of which to prepare the items again
+		 * @return {Promise} Inspection
+		 */
+		settle = function( rebuild ) {
+			var count = ++settleCount;
+
+			setStatus(derivedAssets, true);
+
+			return $q.all(_.values(loading).map( function( a ) {
+				return a.catch(_.noop);
+			})).then( function() {
+				var items = inspection.items;
+
+				// Skip when a retry started in the meantime
+				if (count !== settleCount) {
+					return inspection.promise;
+				}
+
+				// Setup the items from copies of the prepared items, since deriving items changes them
+				if (rebuild) {
+					items = {};
+					inspectionLoaders.forEach( function( loader ) {
+						if (data.hasOwnProperty(loader.id) && (! loader.requires || data.hasOwnProperty(loader.requires))) {
+							_.extend(items, util.copy(true === rebuild || -1 !== rebuild.indexOf(loader.id) || ! prepared[loader.id] ? prepareItems(loader) : prepared[loader.id]));
+						}
+					});
+				}
+
+				inspection.items = setupDerivedItems(items, data);
+
+				// Derived items are incomplete while object details are loading
+				setStatus(derivedAssets, isLoadingDetails);
+
+				// Store the loaded data when all loaders succeeded
+				if (! inspection.isCached && hasLoaded) {
+					inspection.loadedAt = Date.now();
+					hasLoaded = false;
+					storeData();
+				}
+
+				notify();
+
+				return inspection;
+			}).catch( function( error ) {
+
+				// Mark the derived assets as failed
+				if (count === settleCount) {
+					setStatus(derivedAssets, false, error && error.message || String(error));
+					notify();
+				}
+
+				throw error;
+			});
+		},
+
+		/**
+		 * Store the loaded data in the inspection cache
+		 *
+		 * Data is only stored when all loaders succeeded.
+		 *
+		 * @return {Void}
+		 */
+		storeData = function() {
+			if (! options.cache || ! getCacheKey() || ! _.isEmpty(inspection.errors)) {
+				return;
+			}
+
+			// Load times do not apply to cached data
+			$q.resolve(inspectionCache.set(getCacheKey(), app.id, _.mapObject(_.omit(data, _.pluck(_.where(inspectionLoaders, { cache: false }), "id")), function( list ) {
+				return Array.isArray(list) ? list.map( function( a ) {
+					return _.omit(a, "timing");
+				}) : list;
+
+			// The inspection is shown anyway when it cannot be cached
+			}))).catch(_.noop);
+		},
+
+		/**
+		 * Setup the derived items when no more object details are loaded
+		 *
+		 * Object details are often loaded one after the other, so setting up the
+		 * derived items is delayed until no details follow within half a second.
+		 *
+		 * @return {Promise} Inspection
+		 */
+		scheduleSettle = function() {
+			setStatus(derivedAssets, true);
+			settleDfd = settleDfd || $q.defer();
+
+			$timeout.cancel(settleTimer);
+			settleTimer = $timeout( function() {
+				var dfd = settleDfd;
+
+				settleDfd = null;
+				settleTimer = null;
+				inspection.promise = settle([]);
+				dfd.resolve(inspection.promise);
+			}, 500, false);
+
+			return settleDfd.promise;
+		},
+
+		/**
+		 * Replace the items of the sheet objects of a single type
+		 *
+		 * Used when object details are loaded, so that only the affected item is
+		 * prepared again. The derived items are setup again later on.
+		 *
+		 * @param  {String} type Object type
+		 * @return {Void}
+		 */
+		updateObjectTypeItems = function( type ) {
+			var loader = _.findWhere(inspectionLoaders, { id: "extensionList" }), typeItems,
+
+			/**
+			 * Return the list with the items of the type replaced
+			 *
+			 * @param  {Array} list  Items
+			 * @param  {Array} items Items of the type
+			 * @return {Array} Items
+			 */
+			replaceItems = function( list, items ) {
+				return (list || []).map( function( a ) {
+					return _.findWhere(items, { id: a.id }) || a;
+				});
+			};
+
+			if (! prepared[loader.id] || ! data.sheet || ! data.extensionList) {
+				return;
+			}
+
+			typeItems = prepareLoaderItems(data, loader, app, type);
+
+			loader.assets.forEach( function( assetId ) {
+				prepared[loader.id][assetId] = replaceItems(prepared[loader.id][assetId], typeItems[assetId]);
+				inspection.items[assetId] = replaceItems(inspection.items[assetId], util.copy(typeItems[assetId]));
+			});
+		},
+
+		/**
+		 * Load the details of sheet objects that were loaded without details
+		 *
+		 * @param  {Array} objectIds Object identifiers
+		 * @return {Promise} Details are loaded
+		 */
+		loadDetails = function( objectIds ) {
+			objectIds = _.uniq(objectIds).filter( function( id ) {
+				return ! (data.objectDetails && data.objectDetails[id]);
+			});
+
+			objectIds.forEach( function( id ) {
+				if (detailsLoading[id]) {
+					return;
+				}
+
+				inspection.detailsStatus[id] = { isLoading: true, error: null };
+
+				detailsLoading[id] = $q.resolve(appInfo.sheetObject(app.id, id)).then( function( object ) {
+					data.objectDetails = data.objectDetails || {};
+					data.objectDetails[id] = object;
+
+					delete inspection.detailsStatus[id];
+					updateObjectTypeItems(object.properties.qInfo.qType);
+				}).catch( function( error ) {
+					inspection.detailsStatus[id] = {
+						isLoading: false,
+						error: error && error.message || "The details could not be loaded" // Translation?
+					};
+				}).finally( function() {
+					delete detailsLoading[id];
+					notify();
+				});
+			});
+
+			notify();
+
+			return $q.all(objectIds.map( function( id ) {
+				return detailsLoading[id];
+			}));
+		},
+
+		/**
+		 * Load the details of all sheet objects in the background
+		 *
+		 * Lazy inspections list sheet objects without validating their expressions.
+		 * Their details are loaded a few objects at a time, so that their errors are
+		 * reported without delaying the inspection. Until then the derived assets are
+		 * marked as loading. The data is cached again with the loaded details.
+		 *
+		 * @return {Promise} Details are loaded
+		 */
+		loadPendingDetails = function() {
+			var pass = ++detailsPassCount, batches = [], objectIds, i;
+
+			objectIds = _.flatten((data.sheet || []).map( function( sheet ) {
+				return (sheet.visualizations || []).filter( function( a ) {
+					return a.isShallow && ! (data.objectDetails && data.objectDetails[a.cell.name]);
+				}).map( function( a ) {
+					return a.cell.name;
+				});
+			}));
+
+			if (! objectIds.length) {
+				return $q.resolve();
+			}
+
+			for (i = 0; i < objectIds.length; i += 6) {
+				batches.push(objectIds.slice(i, i + 6));
+			}
+
+			isLoadingDetails = true;
+			setStatus(derivedAssets, true);
+			notify();
+
+			return batches.reduce( function( promise, batch ) {
+				return promise.then( function() {
+
+					// Stop when the inspection is closed or loaded again
+					return isClosed || pass !== detailsPassCount ? null : loadDetails(batch);
+				});
+			}, $q.resolve()).then( function() {
+				if (isClosed || pass !== detailsPassCount) {
+					return;
+				}
+
+				isLoadingDetails = false;
+
+				return scheduleSettle().then(storeData);
+			});
+		},
+
+		/**
+		 * Return the cached data of the app's inspection
+		 *
+		 * @return {Promise} Cached data or `null`
+		 */
+		getCachedData = function() {
+			if (! options.cache || ! getCacheKey()) {
+				return $q.resolve(null);
+			}
+
+			// Load the data when the cache cannot be read
+			return $q.resolve(inspectionCache.get(getCacheKey())).catch( function() {
+				return null;
+			});
+		},
+
+		/**
+		 * Return the options for running the loader
+		 *
+		 * Live inspections watch the engine objects that the loader opens.
+		 *
+		 * @param  {Object} loader Inspection loader
+		 * @return {Object} Loader options
+		 */
+		getLoaderOptions = function( loader ) {
+			if (! options.live) {
+				return options;
+			}
+
+			return _.extend({}, options, {
+				watch: function( object ) {
+					watch(object, function() {
+						scheduleUpdate([loader.id]);
+					}, loader.id);
+				}
+			});
+		},
+
+		/**
+		 * Call the callback when the engine object changes
+		 *
+		 * Objects are watched only once, since loading them again returns the same objects.
+		 * The loader and item identifiers are used to release the object when its item is
+		 * removed. When the item's identifier is not provided, it is read from the object's
+		 * layout.
+		 *
+		 * @param  {Object}   object   Engine object
+		 * @param  {Function} callback Called when the object changes
+		 * @param  {String}   loaderId Optional. Loader identifier
+		 * @param  {String}   itemId   Optional. Item identifier
+		 * @return {Void}
+		 */
+		watch = function( object, callback, loaderId, itemId ) {
+			if (isClosed || ! object || _.findWhere(watchers, { object: object })) {
+				return;
+			}
+
+			watchers.push({
+				object: object,
+				loaderId: loaderId,
+				itemId: itemId,
+				unwatch: appInfo.watch(object, callback)
+			});
+		},
+
+		/**
+		 * Stop watching the engine objects of the removed items
+		 *
+		 * @param  {Object} previousData Previously loaded data per loader
+		 * @param  {Array}  loaderIds    Loader identifiers
+		 * @return {Void}
+		 */
+		unwatchRemovedItems = function( previousData, loaderIds ) {
+			var removed = _.partition(watchers, function( a ) {
+				var itemId = a.itemId || (a.object.layout && a.object.layout.qInfo ? a.object.layout.qInfo.qId : a.object.id);
+
+				// Keep watching objects that cannot be identified
+				return itemId && -1 !== loaderIds.indexOf(a.loaderId) && Array.isArray(data[a.loaderId]) && Array.isArray(previousData[a.loaderId])
+					&& ! _.findWhere(data[a.loaderId], { id: itemId });
+			});
+
+			removed[0].forEach( function( a ) {
+				a.unwatch();
+			});
+
+			watchers = removed[1];
+		},
+
+		/**
+		 * Update the loaders' items when the changes are settled
+		 *
+		 * Engine objects change several times while being edited, so the updates are
+		 * combined until no changes follow within a second.
+		 *
+		 * @param  {Array} loaderIds Loader identifiers
+		 * @return {Void}
+		 */
+		scheduleUpdate = function( loaderIds ) {
+			pendingUpdate = _.union(pendingUpdate, loaderIds);
+
+			$timeout.cancel(updateTimer);
+			updateTimer = $timeout( function() {
+				var loaderIds = pendingUpdate;
+
+				pendingUpdate = [];
+				updateTimer = null;
+				// Failures are shown in the status of the assets
+				inspection.update(loaderIds).catch(_.noop);
+			}, 1000, false);
+		},
+
+		/**
+		 * Watch the engine objects of the cached items
+		 *
+		 * The loaders that open the objects are not run for cached data, so the
+		 * objects are opened for watching only.
+		 *
+		 * @return {Void}
+		 */
+		watchCachedItems = function() {
+			inspectionLoaders.filter( function( loader ) {
+				return loader.objectType && Array.isArray(data[loader.id]);
+			}).forEach( function( loader ) {
+				var ids = _.pluck(data[loader.id], "id");
+
+				$q.resolve(appInfo.engineObjects(app.id, loader.objectType, ids)).then( function( objects ) {
+					objects.forEach( function( object, index ) {
+						watch(object, function() {
+							scheduleUpdate([loader.id]);
+						}, loader.id, ids[index]);
+					});
+
+				// Load the asset again, which watches its objects or shows why it failed
+				}).catch( function() {
+					scheduleUpdate([loader.id]);
+				});
+			});
+		},
+
+		/**
+		 * Return the identifiers of the items that changed since the previous data
+		 *
+		 * Items are compared by their properties and metadata, since their layout also
+		 * changes when making selections. Data that is not a list of items is identified
+		 * by its loader.
+		 *
+		 * @param  {Object} previousData Previously loaded data per loader
+		 * @param  {Array}  loaderIds    Loader identifiers
+		 * @return {Array} Identifiers of the changed items
+		 */
+		getChangedItemIds = function( previousData, loaderIds ) {
+			var serialize = function( value ) {
+
+				// Compare items by their properties and metadata
+				if (value && value.properties) {
+					value = {
+						properties: value.properties,
+						qMeta: value.layout && value.layout.qMeta
+					};
+				}
+
+				// Ignore the load time of items
+				return JSON.stringify(value, function( key, value ) {
+					return "timing" === key ? undefined : value;
+				});
+			};
+
+			return _.flatten(loaderIds.map( function( id ) {
+				var previousItems;
+
+				if (! Array.isArray(data[id]) || ! Array.isArray(previousData[id])) {
+					return serialize(data[id]) === serialize(previousData[id]) ? [] : [id];
+				}
+
+				previousItems = _.indexBy(previousData[id], "id");
+
+				return data[id].filter( function( a ) {
+					return ! previousItems[a.id] || serialize(a) !== serialize(previousItems[a.id]);
+				}).map( function( a ) {
+					return a.id;
+
+				// Include removed items
+				}).concat(_.difference(_.keys(previousItems), _.pluck(data[id], "id")));
+			}));
+		};
+
+		options = options || {};
+
+		// Load all assets
+		inspectionLoaders.forEach( function( loader ) {
+			setStatus(loader.assets, true);
+		});
+
+		inspection.promise = getCachedData().then( function( cached ) {
+
+			// Prepare the items from the cached data
+			if (cached) {
+				data = cached.data;
+				inspection.loadedAt = cached.storedAt;
+				inspection.isCached = true;
+
+				if (options.live) {
+					watchCachedItems();
+				}
+
+				inspectionLoaders.forEach( function( loader ) {
+					if (false === loader.cache) {
+						runLoader(loader);
+					} else {
+						loading[loader.id] = $q.resolve(data[loader.id]);
+						setStatus(loader.assets, false);
+					}
+				});
+
+				return settle(true);
+			}
+
+			inspectionLoaders.forEach( function( loader ) {
+				runLoader(loader);
+			});
+
+			return settle();
+		}).then( function( inspection ) {
+
+			// Validate the sheet objects that were listed without details
+			if (options.lazy) {
+				loadPendingDetails();
+			}
+
+			return inspection;
+		});
+
+		// Watch the app for changes of its properties, script and data
+		if (options.live && app.model.enigmaModel) {
+			watch(app.model.enigmaModel, function() {
+				$q.resolve(app.model.enigmaModel.getAppLayout()).then( function( layout ) {
+					var previous = appLayout;
+
+					appLayout = layout;
+
+					// Update all assets when the app is reloaded
+					if (layout.qLastReloadTime !== previous.qLastReloadTime) {
+						scheduleUpdate(_.pluck(inspectionLoaders, "id"));
+
+					// Update the app's assets when the app was edited. Other changes of the app's
+					// layout, like of its selection state, do not change the inspection.
+					} else if (layout.modifiedDate !== previous.modifiedDate || layout.qTitle !== previous.qTitle || ! _.isEqual(getStateNames(layout), getStateNames(previous))) {
+						scheduleUpdate(["app", "script", "alternate-state", "variableDefinitions"]);
+					}
+
+				// Load the app's assets again, which shows why they failed
+				}).catch( function() {
+					scheduleUpdate(["app", "script", "alternate-state", "variableDefinitions"]);
+				});
+			});
+		}
+
+		/**
+		 * Load all assets again, skipping the cache
+		 *
+		 * The current items are kept until all assets are loaded.
+		 *
+		 * @return {Promise} Inspection
+		 */
+		inspection.refresh = function() {
+			data = {};
+			loading = {};
+			inspection.errors = {};
+			inspection.isCached = false;
+
+			// Forget the status of object details
+			_.keys(inspection.detailsStatus).forEach( function( id ) {
+				delete inspection.detailsStatus[id];
+			});
+
+			if (options.cache) {
+				$q.resolve(inspectionCache.remove(app.id)).catch(_.noop);
+			}
+
+			inspectionLoaders.forEach( function( loader ) {
+				runLoader(loader, true);
+			});
+
+			// Stop loading the details of the previous data
+			detailsPassCount++;
+			isLoadingDetails = false;
+
+			inspection.promise = settle(true).then( function( inspection ) {
+				if (options.lazy) {
+					loadPendingDetails();
+				}
+
+				return inspection;
+			});
+
+			return inspection.promise;
+		};
+
+		/**
+		 * Load the asset again and rebuild the derived items
+		 *
+		 * Loaders that require the data of the asset's loader are loaded again as well.
+		 * Retrying a derived asset only sets up the derived items again.
+		 *
+		 * @param  {String} assetId Asset identifier
+		 * @return {Promise} Inspection
+		 */
+		inspection.retry = function( assetId ) {
+			var loader = _.find(inspectionLoaders, function( a ) {
+				return -1 !== a.assets.indexOf(assetId);
+			});
+
+			if (! loader && -1 === derivedAssets.indexOf(assetId)) {
+				return inspection.promise;
+			}
+
+			if (loader) {
+
+				// Load the required data again when it failed
+				if (loader.requires && inspection.errors[loader.requires]) {
+					runLoader(_.findWhere(inspectionLoaders, { id: loader.requires }));
+				}
+
+				runLoader(loader);
+
+				// Load the dependent data again
+				_.where(inspectionLoaders, { requires: loader.id }).forEach( function( a ) {
+					runLoader(a);
+				});
+			}
+
+			// The retried loaders prepared their items already
+			inspection.promise = settle([]);
+
+			return inspection.promise;
+		};
+
+		/**
+		 * Load the details of sheet objects that were loaded without details
+		 *
+		 * The details are kept with the loaded data, so that the items are prepared
+		 * with their details from now on. Only the items of the affected object types
+		 * are replaced right away, the derived items are setup again shortly after.
+		 *
+		 * @param  {Array} objectIds Object identifiers
+		 * @return {Promise} Inspection with the derived items setup again
+		 */
+		inspection.loadObjectDetails = function( objectIds ) {
+			var isLoaded = ! _.uniq(objectIds).filter( function( id ) {
+				return ! (data.objectDetails && data.objectDetails[id]);
+			}).length;
+
+			// Wait for the derived items that are setup with the loaded details
+			if (isLoaded) {
+				return settleDfd ? settleDfd.promise : $q.resolve(inspection);
+			}
+
+			return loadDetails(objectIds).then(scheduleSettle);
+		};
+
+		/**
+		 * Load the loaders' assets again and highlight their changed items
+		 *
+		 * Loaders that require the data of the updated loaders are loaded again as well.
+		 * The current items are kept until the assets are loaded. When any of the items
+		 * changed, only the items of the updated loaders are prepared again and the
+		 * derived items are setup again.
+		 *
+		 * @param  {Array} loaderIds Loader identifiers
+		 * @return {Promise} Inspection
+		 */
+		inspection.update = function( loaderIds ) {
+			var previousData = _.clone(data), loaders = inspectionLoaders.filter( function( a ) {
+				return -1 !== loaderIds.indexOf(a.id) || -1 !== loaderIds.indexOf(a.requires);
+			}), changedIds,
+
+			/**
+			 * Mark the changed items of the updated assets
+			 *
+			 * @param  {Boolean} isUpdated Whether the items are updated
+			 * @return {Void}
+			 */
+			setUpdated = function( isUpdated ) {
+				_.flatten(_.pluck(loaders, "assets")).forEach( function( assetId ) {
+					(inspection.items[assetId] || []).forEach( function( item ) {
+						if (-1 !== changedIds.indexOf(item.id)) {
+							item.isUpdated = isUpdated;
+						}
+					});
+				});
+
+				notify();
+			};
+
+			if (isClosed || ! loaders.length) {
+				return inspection.promise;
+			}
+
+			loaders.forEach( function( loader ) {
+				runLoader(loader, true);
+			});
+
+			inspection.promise = $q.all(loaders.map( function( loader ) {
+				return loading[loader.id].catch(_.noop);
+			})).then( function() {
+				changedIds = getChangedItemIds(previousData, _.pluck(loaders, "id"));
+
+				// Release the objects of removed items
+				unwatchRemovedItems(previousData, _.pluck(loaders, "id"));
+
+				// Keep the current items when nothing changed
+				if (! changedIds.length) {
+					return inspection;
+				}
+
+				// Store the updated data
+				inspection.isCached = false;
+
+				return settle(_.pluck(loaders, "id")).then( function() {
+					setUpdated(true);
+
+					// Remove the highlight after it is shown
+					$timeout( function() {
+						setUpdated(false);
+					}, 2000, false);
+
+					return inspection;
+				});
+			});
+
+			return inspection.promise;
+		};
+
+		/**
+		 * Stop updating the inspection
+		 *
+		 * @return {Void}
+		 */
+		inspection.close = function() {
+			isClosed = true;
+			$timeout.cancel(updateTimer);
+			$timeout.cancel(settleTimer);
+
+			watchers.forEach( function( a ) {
+				a.unwatch();
+			});
+
+			watchers = [];
+		};
+
+		return inspection;
+	},
+
+	/**
+	 * Get the app's full inspection
+	 *
+	 * Loads all assets of the app and prepares their items.
+	 *
+	 * @param  {Object} app The app's API
+	 * @return {Promise}    Prepared items per asset
+	 */
+	getAppInspection = function( app ) {
+		return loadAppInspection(app).promise.then( function( inspection ) {
+			var failed = _.keys(inspection.errors);
+
+			// Fail the inspection when any of the loaders failed
+			if (failed.length) {
+				throw inspection.errors[failed[0]];
+			}
+
+			return inspection.items;
+		});
+	},
+
+	/**
+	 * Return the items describing the differences between two inspected apps
+	 *
+	 * @param  {Object} baseItems  Prepared items per asset of the base app
+	 * @param  {Object} otherItems Prepared items per asset of the other app
+	 * @param  {Object} baseApp    The base app's API
+	 * @param  {Object} otherApp   The other app's API
+	 * @return {Array} Comparison items
+	 */
+	getComparisonItems = function( baseItems, otherItems, baseApp, otherApp ) {
+		var baseTitle = baseApp.model.layout.qTitle,
+		    otherTitle = otherApp.model.layout.qTitle;
+
+		return diff.records(exportUtil.records(baseItems, assets), exportUtil.records(otherItems, assets)).map( function( a, index ) {
+			var record = a.base || a.other, item;
+
+			item = {
+				id: "compare-".concat(index),
+				label: record.label,
+				asset: a.asset,
+				icon: { added: "plus", removed: "minus", changed: "edit" }[a.status],
+				searchTerms: record.id,
+				details: {
+					id: {
+						label: "Id",
+						value: record.id
+					},
+					status: {
+						label: "Status", // Translation?
+						value: "added" === a.status
+							? "Only in ".concat(otherTitle)
+							: ("removed" === a.status ? "Only in ".concat(baseTitle) : "Changed")
+					},
+					changes: {
+						label: "Changes", // Translation?
+						value: "changed" === a.status && ! a.lines ? a.changes.length.toString() : null
+					}
+				},
+				code: {}
+			};
+
+			// Script line diff
+			if (a.lines) {
+				item.code.diff = {
+					label: "Script differences",
+					value: diff.formatLineDiff(a.lines)
+				};
+
+			// Property diff
+			} else if (a.changes && a.changes.length) {
+				item.code.diff = {
+					label: "Property differences",
+					value: diff.formatObjectDiff(a.changes).join("\n")
+				};
+			}
+
+			return prepareItem(item);
+		}).sort( function( a, b ) {
+			return assets.indexOf(_.findWhere(assets, { id: a.asset })) - assets.indexOf(_.findWhere(assets, { id: b.asset })) || a.label.toLowerCase().localeCompare(b.label.toLowerCase());
+		});
+	},
+
+	/**
+	 * Holds the assets that are compared with a snapshot
+	 *
+	 * @type {Array}
+	 */
+	snapshotAssets = ["script", "sheet", "dimension", "measure", "masterObject", "variable", "bookmark"],
+
+	/**
+	 * Remove snapshot differences from the items
+	 *
+	 * @param  {Object} items Prepared items per asset
+	 * @return {Void}
+	 */
+	clearSnapshot = function( items ) {
+		snapshotAssets.forEach( function( assetId ) {
+			items[assetId] = (items[assetId] || []).filter( function( a ) {
+				return "removed" !== a.change;
+			});
+
+			items[assetId].forEach( function( a ) {
+				delete a.change;
+
+				if (a.code) {
+					delete a.code.snapshot;
+				}
+			});
+		});
+	},
+
+	/**
+	 * Mark the differences between the items and an earlier snapshot
+	 *
+	 * Added and modified items are marked in place, removed items are added
+	 * to their asset's list.
+	 *
+	 * @param  {Object} items    Prepared items per asset
+	 * @param  {Object} snapshot Parsed data document
+	 * @return {Void}
+	 */
+	applySnapshot = function( items, snapshot ) {
+
+		// Start clean
+		clearSnapshot(items);
+
+		diff.records(snapshot.items, exportUtil.records(items, assets)).filter( function( a ) {
+			return -1 !== snapshotAssets.indexOf(a.asset) && ! (a.base || a.other).parentId;
+		}).forEach( function( a ) {
+			var item, record;
+
+			// Removed items are restored from the snapshot
+			if ("removed" === a.status) {
+				record = a.base;
+				item = {
+					id: record.id,
+					label: record.label,
+					change: "removed",
+					details: _.object(record.details.map( function( detail ) {
+						return [detail.name, { label: detail.label, value: detail.value }];
+					})),
+					code: {}
+				};
+
+				if (record.layout) {
+					item.layout = record.layout;
+				}
+				if (record.properties) {
+					item.properties = record.properties;
+				}
+				if ("string" === typeof record.script) {
+					item.code.script = {
+						label: "Script",
+						value: record.script
+					};
+				}
+
+				items[a.asset].push(prepareItem(item));
+
+			// Mark live items
+			} else {
+				item = _.find(items[a.asset], function( b ) {
+					return String(b.id) === a.other.id;
+				});
+
+				if (! item) {
+					return;
+				}
+
+				item.change = "added" === a.status ? "added" : "modified";
+
+				if (a.lines) {
+					item.code.snapshot = {
+						label: "Snapshot differences",
+						value: diff.formatLineDiff(a.lines)
+					};
+				} else if (a.changes && a.changes.length) {
+					item.code.snapshot = {
+						label: "Snapshot differences",
+						value: diff.formatObjectDiff(a.changes).join("\n")
+					};
+				}
+			}
+		});
+	},
+
+	/**
+	 * Show the generic error dialog of the inspector
+	 *
+	 * @param  {Mixed} error Error data
+	 * @return {Void}
+	 */
+	showInspectorError = function( error ) {
+		console.error(error);
+
+		qvangular.getService("qvConfirmDialog").show({
+			title: "Inspector error",
+			message: "Inspect the browser's console for any relevant error data.",
+			hideCancelButton: true
+		});
+	},
+
+	/**
+	 * Provide the list items for selecting an app
+	 *
+	 * The current app is listed first.
+	 *
+	 * @param  {Function} setItems Callback for setting the list items
+	 * @return {Void}
+	 */
+	getAppListItems = function( setItems ) {
+		appInfo.apps().then( function( items ) {
+
+			// List the current app first
+			items = _.sortBy(items, function( a ) {
+				return a.id === currApp.id ? 0 : 1;
+			});
+
+			setItems(items.map( function( a ) {
+				return {
+					id: a.id,
+					value: a.label,
+					description: a.id === currApp.id ? "Current app" : _.compact([a.stream, a.owner]).join(" - "),
+					searchTerms: _.compact([a.label, a.stream, a.owner]).join(" ")
+				};
+			}));
+		}).catch( function( error ) {
+			console.error(error);
+
+			// Provide at least the current app
+			setItems([{
+				id: currApp.id,
+				value: currApp.model.layout.qTitle,
+				description: "Current app",
+				searchTerms: currApp.model.layout.qTitle
+			}]);
+		});
+	},
+
+	/**
+	 * Filter the app list items by name, stream and owner
+	 *
+	 * @param  {Array}  items App list items
+	 * @param  {String} term  Search term
+	 * @return {Array} Filtered list items
+	 */
+	filterAppListItems = function( items, term ) {
+		return items.filter( function( a ) {
+			return -1 !== a.searchTerms.toLowerCase().indexOf(term.toLowerCase());
+		});
+	},
+
+	/**
+	 * Return the summary of an app's inspection
+	 *
+	 * @param  {Object} app The app's API
+	 * @return {Promise} Summary with counts keyed by batch column
+	 */
+	getAppSummary = function( app ) {
+		return getAppInspection(app).then( function( items ) {
+
+			/**
+			 * Return the total number of messages of the items with errors
+			 *
+			 * @param  {String} key Message type. Either 'errors' or 'warnings'.
+			 * @return {Number} Number of messages
+			 */
+			var countMessages = function( key ) {
+				return items.errors.reduce( function( count, a ) {
+					return count + (a[key] || []).length;
+				}, 0);
+			};
+
+			return {
+				sheets: items.sheet.length,
+				charts: items.chart.length,
+				extensions: items.extension.length,
+				masterItems: items.dimension.length + items.measure.length + items.masterObject.length,
+				variables: items.variable.length,
+				bookmarks: items.bookmark.length,
+				errors: countMessages("errors"),
+				warnings: countMessages("warnings"),
+
+				// Extension usage for the inventory
+				extensionUsage: items.extension.map( function( a ) {
+					var sheets = _.findWhere(a.details, { name: "sheets" });
+
+					return {
+						id: a.id,
+						label: a.label,
+						instances: a.items ? a.items.length : 1,
+						sheets: sheets ? sheets.value : []
+					};
+				})
+			};
+		});
+	},
+
+	/**
+	 * Holds the columns of the batch audit summary
+	 *
+	 * @type {Array}
+	 */
+	batchColumns = [{
+		name: "sheets",
+		label: translator.get("Common.Sheets")
+	}, {
+		name: "charts",
+		label: "Charts" // Translation?
+	}, {
+		name: "extensions",
+		label: "Extensions" // Translation?
+	}, {
+		name: "masterItems",
+		label: "Master items" // Translation?
+	}, {
+		name: "variables",
+		label: translator.get("Common.Variables")
+	}, {
+		name: "bookmarks",
+		label: translator.get("Common.Bookmarks")
+	}, {
+		name: "errors",
+		label: "Errors" // Translation?
+	}, {
+		name: "warnings",
+		label: "Warnings" // Translation?
+	}],
+
+	/**
+	 * Return the selectable scopes of apps for a batch audit
+	 *
+	 * Lists all apps, the apps per stream and the apps per tag.
+	 *
+	 * @param  {Array} apps App list from `appInfo.apps()`
+	 * @return {Array} Scopes with `id`, `label` and `apps`
+	 */
+	getBatchScopes = function( apps ) {
+		var scopes = [{
+			id: "all",
+			label: "All apps", // Translation?
+			apps: apps
+		}];
+
+		_.uniq(_.compact(_.pluck(apps, "stream"))).sort().forEach( function( stream ) {
+			scopes.push({
+				id: "stream:".concat(stream),
+				label: "Stream: ".concat(stream), // Translation?
+				apps: _.where(apps, { stream: stream })
+			});
+		});
+
+		_.uniq(_.flatten(_.pluck(apps, "tags"))).sort().forEach( function( tag ) {
+			scopes.push({
+				id: "tag:".concat(tag),
+				label: "Tag: ".concat(tag), // Translation?
+				apps: apps.filter( function( a ) {
+					return -1 !== a.tags.indexOf(tag);
+				})
+			});
+		});
+
+		return scopes;
+	},
+
+	/**
+	 * Return the site-wide inventory of extensions
+	 *
+	 * Lists each installed extension with the audited apps that use it. Extensions
+	 * that are used in apps but are no longer installed are listed as missing.
+	 *
+	 * @param  {Object} extensionList Installed extensions by id
+	 * @param  {Array}  results       Batch results
+	 * @return {Array} Extensions with `id`, `label`, `version`, `isInstalled`, `instances` and `apps`
+	 */
+	getExtensionInventory = function( extensionList, results ) {
+		var inventory = {};
+
+		// List installed extensions
+		_.keys(extensionList).forEach( function( id ) {
+			var meta = extensionList[id];
+
+			// Skip bundled objects that are not listed as extension
+			if (meta.type && "visualization" !== meta.type) {
+				return;
+			}
+
+			inventory[id] = {
+				id: id,
+				label: meta.name || id,
+				version: meta.version || null,
+				bundle: meta.bundle && meta.bundle.name || null,
+				isInstalled: true,
+				instances: 0,
+				apps: []
+			};
+		});
+
+		// Add usage per app
+		results.forEach( function( result ) {
+			(result.data && result.data.extensionUsage || []).forEach( function( a ) {
+				var extension = inventory[a.id] = inventory[a.id] || {
+					id: a.id,
+					label: a.label,
+					version: null,
+					bundle: null,
+					isInstalled: extensionList.hasOwnProperty(a.id),
+					instances: 0,
+					apps: []
+				};
+
+				extension.instances += a.instances;
+				extension.apps.push({
+					id: result.item.id,
+					label: result.item.label,
+					stream: result.item.stream,
+					instances: a.instances,
+					sheets: a.sheets
+				});
+			});
+		});
+
+		// List missing extensions first
+		return _.sortBy(_.values(inventory), function( a ) {
+			return (a.isInstalled ? "1" : "0").concat(a.label.toLowerCase());
+		});
+	},
+
+	/**
+	 * Return the CSV document of the extension inventory
+	 *
+	 * Holds a row per extension and app.
+	 *
+	 * @param  {Array} inventory Extension inventory
+	 * @return {String} CSV document
+	 */
+	getExtensionInventoryCsv = function( inventory ) {
+		return exportUtil.csv([
+			{ name: "id", label: "Id" },
+			{ name: "label", label: "Extension" },
+			{ name: "version", label: "Version" },
+			{ name: "bundle", label: "Bundle" },
+			{ name: "status", label: "Status" },
+			{ name: "appId", label: "App id" },
+			{ name: "app", label: "App" },
+			{ name: "stream", label: "Stream" },
+			{ name: "instances", label: "Instances" },
+			{ name: "sheets", label: "Sheets" }
+		], _.flatten(inventory.map( function( a ) {
+			var row = {
+				id: a.id,
+				label: a.label,
+				version: a.version,
+				bundle: a.bundle,
+				status: a.isInstalled ? (a.apps.length ? "Used" : "Unused") : "Not installed"
+			};
+
+			return a.apps.length ? a.apps.map( function( b ) {
+				return _.extend({
+					appId: b.id,
+					app: b.label,
+					stream: b.stream,
+					instances: b.instances,
+					sheets: b.sheets.join("; ")
+				}, row);
+			}) : [row];
+		}), true));
+	},
+
+	/**
+	 * Return the CSV document of the batch audit results
+	 *
+	 * @param  {Array} results Batch results
+	 * @return {String} CSV document
+	 */
+	getBatchCsv = function( results ) {
+		return exportUtil.csv([
+			{ name: "id", label: "Id" },
+			{ name: "label", label: "App" },
+			{ name: "stream", label: "Stream" }
+		].concat(batchColumns, [
+			{ name: "error", label: "Audit error" }
+		]), results.map( function( a ) {
+			return _.extend({
+				id: a.item.id,
+				label: a.item.label,
+				stream: a.item.stream,
+				error: a.error
+			}, a.data);
+		}));
+	},
+
+	/**
+	 * Holds the global session options
+	 *
+	 * @type {Object}
+	 */
+	globalOpts = currApp.global.session.options,
+
+	/**
+	 * Holds the app's global baseURI
+	 *
+	 * Differs from qUtil.baseURI in that it does not assume the 'sense' project
+	 * directly following the prefix. This is relevant for setting up `single` urls.
+	 *
+	 * @return {String}
+	 */
+	baseURI = (globalOpts.isSecure ? "https://" : "http://").concat(globalOpts.host, ":", globalOpts.port, globalOpts.prefix.replace(/\/+$/g, ""), "/"),
+
+	/**
+	 * Return the url for a single sheet
+	 *
+	 * @param  {Object} options Url options
+	 * @return {String} Single sheet url
+	 */
+	getSingleSheetUrl = function( options ) {
+		options = options || {};
+		options.opts = options.opts || "nointeraction,noselections";
+
+		return baseURI.concat("single/?appid=", encodeURIComponent(options.appId), "&sheet=", options.sheetId, "&opt=", options.opts);
+	},
+
+	/**
+	 * Return the url for a single visualization object
+	 *
+	 * @param  {Object} options Url options
+	 * @return {String} Single visualization url
+	 */
+	getSingleVizUrl = function( options ) {
+		options = options || {};
+		options.opts = options.opts || "nointeraction,noselections";
+
+		return baseURI.concat("single/?appid=", encodeURIComponent(options.appId), "&obj=", options.objId, "&opt=", options.opts);
+	},
+
+	/**
+	 * Return how long ago the time was
+	 *
+	 * @param  {Number} time Timestamp in milliseconds
+	 * @return {String} Age label
+	 */
+	getAgeLabel = function( time ) {
+		var minutes = Math.floor((Date.now() - time) / 60000), hours = Math.floor(minutes / 60), days = Math.floor(hours / 24);
+
+		if (minutes < 1) {
+			return "just now"; // Translation?
+		} else if (minutes < 60) {
+			return "".concat(minutes, 1 === minutes ? " minute ago" : " minutes ago"); // Translation?
+		} else if (hours < 24) {
+			return "".concat(hours, 1 === hours ? " hour ago" : " hours ago"); // Translation?
+		} else {
+			return "".concat(days, 1 === days ? " day ago" : " days ago"); // Translation?
+		}
+	},
+
+	/**
+	 * Return the file name for an app's export file
+	 *
+	 * @param  {Object} app       The app's API
+	 * @param  {String} extension File extension
+	 * @param  {String} title     Optional. File title. Defaults to 'App Inspector'.
+	 * @return {String} File name
+	 */
+	getExportFilename = function( app, extension, title ) {
+		return (title || "App Inspector").concat(" - ", app.model.layout.qTitle.replace(/[\\/:*?"<>|]+/g, ""), " - ", new Date().toISOString().substr(0, 10), ".", extension);
+	},
+
+	/**
+	 * Holds the list of assets in the inspector modal
+	 *
+	 * @type {Array}
+	 */
+	assets = [{
+		"id": "app",
+		"label": translator.get("App") // Translation available?
+	}, {
+		"id": "errors",
+		"label": translator.get("Errors") // Translation available?
+	}, {
+		"id": "cleanup",
+		"label": "Cleanup" // Translation?
+	}, {
+		"id": "duplicates",
+		"label": "Duplicates" // Translation?
+	}, {
+		"id": "script",
+		"label": translator.get("Script") // Translation available?
+	}, {
+		"id": "field",
+		"label": translator.get("Common.Fields")
+	}, {
+		"id": "lineage",
+		"label": "Lineage" // Translation?
+	}, {
+		"id": "sheet",
+		"label": translator.get("Common.Sheets")
+	}, {
+		"id": "chart",
+		"label": translator.get("Common.Charts")
+	}, {
+		"id": "extension",
+		"label": translator.get("Common.Extensions")
+	}, {
+		"id": "dimension",
+		"label": translator.get("Common.MasterDimensions")
+	}, {
+		"id": "measure",
+		"label": translator.get("Common.MasterMeasures")
+	}, {
+		"id": "masterObject",
+		"label": translator.get("library.Visualizations")
+	}, {
+		"id": "alternate-state",
+		"label": translator.get("Common.AlternateStates")
+	}, {
+		"id": "variable",
+		"label": translator.get("Common.Variables")
+	}, {
+		"id": "bookmark",
+		"label": translator.get("Common.Bookmarks")
+	}],
+
+	/**
+	 * Return the asset's label
+	 *
+	 * @param  {String} id Asset id
+	 * @return {String} Asset label
+	 */
+	getAssetLabel = function( id ) {
+		return _.first(_.pluck(_.where(assets, { id: id }), "label"));
+	},
+
+	/**
+	 * Extension controller function
+	 *
+	 * @param  {Object} $scope Extension scope
+	 * @param  {Object} $el Scope's jQuery element
+	 * @return {Void}
+	 */
+	controller = ["$scope", "$element", function( $scope, $el ) {
+
+		/**
+		 * Define a two-tiered state-machine for handling events
+		 *
+		 * @type {StateMachine}
+		 */
+		var fsm = new util.StateMachine({
+			transitions: [{
+				from: "IDLE", to: "MODAL", name: "OPEN"
+			}, {
+				from: "MODAL", to: "IDLE", name: "CLOSE"
+			}, {
+				from: "IDLE", to: "BATCH", name: "AUDIT"
+			}, {
+				from: "BATCH", to: "IDLE", name: "CLOSE"
+			}],
+			on: {
+				enterModal: function( lifecycle, app ) {
+					showAppInspectorForApp(app);
+				},
+				enterBatch: function() {
+					showBatchAudit();
+				}
+			}
+		}),
+
+		/**
+		 * Holds the modal for the App Inspector
+		 *
+		 * @type {Object}
+		 */
+		modal,
+
+		/**
+		 * Holds the popover for selecting the app to inspect
+		 *
+		 * @type {Object}
+		 */
+		popover = uiUtil.uiSearchableListPopover({
+			title: "Apps", // Translation?
+			get: getAppListItems,
+			filter: filterAppListItems,
+			select: function( item ) {
+				fsm.open(item.id);
+			},
+			alignTo: function() {
+				return $el.find(".open-button")[0];
+			},
+			closeOnEscape: true,
+			outsideIgnore: ".open-button",
+			dock: "right"
+		}),
+
+		/**
+		 * Open the object app importer modal for the selected app
+		 *
+		 * @param  {Object} appId Selected app
+		 * @return {Void}
+		 */
+		showAppInspectorForApp = async function( appId ) {
+			var app = await openApp(appId);
+
+			// Open the modal
+			modal = qvangular.getService("luiDialog").show({
+				controller: ["$scope", function( $scope ) {
+					var dfd = $q.defer(), inspection,
+
+					/**
+					 * Return whether the search query matches with the input value
+					 *
+					 * @param  {String} input Text
+					 * @return {Boolean} Search query matches the text
+					 */
+					matchSearchQuery = function( input ) {
+						return (!! input) && -1 !== input.toString().toLowerCase().indexOf( $scope.search.query.toString().toLowerCase() );
+					},
+
+					/**
+					 * Apply the search query to all items
+					 *
+					 * @param  {Boolean} keepActiveItem Optional. Whether to only update the selected list
+					 * @return {Void}
+					 */
+					filterItems = function( keepActiveItem ) {
+						var query = $scope.search.query, i;
+
+						for (i in $scope.allItems) {
+							if ($scope.allItems.hasOwnProperty(i)) {
+								$scope.filteredItems[i] = $scope.allItems[i].filter( function( a ) {
+									return (! query.length)
+										|| matchSearchQuery(a.id) // Search by id
+										|| matchSearchQuery(a.label) // Search by label
+										|| matchSearchQuery(a.searchTerms); // Search by pre-defined terms
+								});
+							}
+						}
+
+						// Update selected list
+						if (keepActiveItem) {
+							$scope.selected = $scope.filteredItems[$scope.activeAsset] || [];
+						} else {
+							$scope.assetClicked($scope.activeAsset);
+						}
+					},
+
+					/**
+					 * Load the details of all sheet objects
+					 *
+					 * Used before exporting or comparing the inspection.
+					 *
+					 * @return {Promise} Inspection with the details
+					 */
+					loadAllObjectDetails = function() {
+						var objectIds = [];
+
+						["chart", "extension"].forEach( function( asset ) {
+							($scope.allItems[asset] || []).forEach( function( a ) {
+								[a].concat(a.items || []).forEach( function( b ) {
+									if (b.detailSource) {
+										objectIds.push(b.detailSource.objectId);
+									}
+								});
+							});
+						});
+
+						return inspection.loadObjectDetails(objectIds);
+					},
+
+					/**
+					 * Run the callback when the details of all sheet objects are loaded
+					 *
+					 * @param  {Function} callback Callback
+					 * @return {Void}
+					 */
+					withAllObjectDetails = function( callback ) {
+						$scope.isInspecting = true;
+
+						loadAllObjectDetails().then(callback).catch(showInspectorError).finally( function() {
+							$scope.isInspecting = false;
+
+							// Update view to reflect the details
+							qvangular.$apply($scope);
+						});
+					},
+
+					/**
+					 * Show the inspection's latest items
+					 *
+					 * Called for each asset that is loaded, so the active item is kept
+					 * while the user is browsing.
+					 *
+					 * @param  {Object} inspection App inspection
+					 * @return {Void}
+					 */
+					applyInspection = function( inspection ) {
+						var activeItem = $scope.activeItem;
+
+						// Items were prepared again
+						if (inspection.items !== $scope.allItems) {
+
+							// Keep the comparison
+							if ($scope.allItems.compare) {
+								inspection.items.compare = $scope.allItems.compare;
+							}
+
+							// Mark the snapshot differences on the new items
+							if ($scope.snapshot) {
+								applySnapshot(inspection.items, $scope.snapshot.document);
+							}
+
+							$scope.allItems = inspection.items;
+						}
+
+						// Find the active item again when it was prepared again
+						if (activeItem) {
+							$scope.activeItem = _.findWhere($scope.allItems[$scope.activeAsset] || [], { id: activeItem.id }) || null;
+						}
+
+						filterItems(!! activeItem && !! $scope.activeItem);
+
+						// Keep showing the active sub-item and the loaded profile
+						if (activeItem && $scope.activeItem && activeItem !== $scope.activeItem) {
+							$scope.activeSubItem = $scope.activeItem.items && $scope.activeItem.items[$scope.activeSubItemIx] || null;
+
+							if (activeItem.profile && ! $scope.activeItem.profile) {
+								$scope.activeItem.profile = activeItem.profile;
+							}
+
+							_.compact([$scope.activeItem, $scope.activeSubItem]).forEach(setupItemCode);
+						}
+
+						// Update view to reflect the loaded items
+						qvangular.$apply($scope);
+					},
+
+					/**
+					 * Load a snapshot and mark its differences
+					 *
+					 * @param  {String} text Snapshot document text
+					 * @return {Void}
+					 */
+					loadSnapshot = function( text ) {
+						var snapshot;
+
+						try {
+							snapshot = exportUtil.parse(text);
+						} catch (error) {
+							showInspectorError(error);
+							return;
+						}
+
+						// Comparing the app with another app's snapshot marks all of its items
+						if (snapshot.app && snapshot.app.id !== app.id) {
+							qvangular.getService("qvConfirmDialog").show({
+								title: "Snapshot not loaded", // Translation?
+								message: "The snapshot belongs to the app '".concat(snapshot.app.title || snapshot.app.id, "'. Use Compare with to compare different apps."), // Translation?
+								hideCancelButton: true
+							});
+							return;
+						}
+
+						withAllObjectDetails( function() {
+							applySnapshot($scope.allItems, snapshot);
+
+							$scope.snapshot = {
+								createdAt: new Date(snapshot.createdAt).toLocaleString(),
+								app: snapshot.app,
+								document: snapshot
+							};
+
+							filterItems();
+						});
+					},
+
+					/**
+					 * Holds the popover for selecting the snapshot to load
+					 *
+					 * @type {Object}
+					 */
+					snapshotPopover = uiUtil.uiSearchableListPopover({
+						title: "Load snapshot", // Translation?
+						get: function( setItems ) {
+							var file = {
+								id: "file",
+								value: "Open file...",
+								description: "JSON or NDJSON"
+							};
+
+							$q.resolve(inspectionCache.getSnapshot(app.id)).then( function( stored ) {
+								var items = [];
+
+								// Stored snapshot
+								if (stored) {
+									items.push({
+										id: "storage",
+										value: "Stored snapshot",
+										description: new Date(stored.storedAt).toLocaleString(),
+										text: stored.text
+									});
+								}
+
+								setItems(items.concat(file));
+							}).catch( function() {
+
+								// Files can be loaded without browser storage
+								setItems([file]);
+							});
+						},
+						select: function( item ) {
+							if ("storage" === item.id) {
+								loadSnapshot(item.text);
+								qvangular.$apply($scope);
+							} else {
+								util.selectFile(".json,.ndjson").then(loadSnapshot);
+							}
+						},
+						alignTo: function() {
+							return document.querySelector("#qs-emergo-app-inspector-modal .btn-load-snapshot");
+						},
+						closeOnEscape: true,
+						outsideIgnore: ".btn-load-snapshot",
+						dock: "top"
+					}),
+
+					/**
+					 * Holds the popover for selecting the app to compare with
+					 *
+					 * @type {Object}
+					 */
+					comparePopover = uiUtil.uiSearchableListPopover({
+						title: "Compare with", // Translation?
+						get: getAppListItems,
+						filter: filterAppListItems,
+						select: function( item ) {
+							$scope.compareWithApp(item.id);
+						},
+						alignTo: function() {
+							return document.querySelector("#qs-emergo-app-inspector-modal .btn-compare");
+						},
+						closeOnEscape: true,
+						outsideIgnore: ".btn-compare",
+						dock: "top"
+					}),
+
+					/**
+					 * Holds the active drag state of the data model diagram
+					 *
+					 * @type {Object|Null}
+					 */
+					diagramDrag = null,
+
+					/**
+					 * Holds whether the last click on the data model diagram ended a drag
+					 *
+					 * @type {Boolean}
+					 */
+					wasDiagramDragged = false,
+
+					/**
+					 * Holds the value list of the browsed field
+					 *
+					 * Operations on the list are chained, so that a list is only created
+					 * after the previous list was closed.
+					 *
+					 * @type {Promise}
+					 */
+					valueListReady = $q.resolve(null),
+
+					/**
+					 * Run an operation on the value list of the browsed field
+					 *
+					 * @param  {Object}   state    Field values state
+					 * @param  {Function} callback Operation that receives the value list
+					 * @return {Promise} Operation is done
+					 */
+					withValueList = function( state, callback ) {
+						state.loading = true;
+						state.error = null;
+
+						valueListReady = valueListReady.then( function( list ) {
+							return $q.resolve(list && callback(list)).then( function() {
+								return list;
+							}).catch( function( error ) {
+								state.error = error.message || "The values could not be loaded"; // Translation?
+
+								return list;
+							}).finally( function() {
+								state.loading = false;
+							});
+						});
+
+						return valueListReady;
+					},
+
+					/**
+					 * Load a page of the browsed field's values
+					 *
+					 * @param  {Object} state Field values state
+					 * @param  {Object} list  Value list
+					 * @param  {Number} page  Page index
+					 * @return {Promise} Page is loaded
+					 */
+					loadValuesPage = function( state, list, page ) {
+						return $q.resolve(list.getPage(page)).then( function( data ) {
+							state.page = page;
+							state.total = data.total;
+							state.pageCount = Math.max(1, Math.ceil(data.total / list.pageSize));
+							state.values = data.values;
+							state.isIsolated = list.isIsolated;
+						});
+					},
+
+					/**
+					 * Open the value list of the item's field
+					 *
+					 * Closes the list of the previously browsed field. Values are listed in
+					 * a session object in a scratch alternate state, so the user's selections
+					 * are not changed.
+					 *
+					 * @param  {Object} item Optional. Item with `valueSource`
+					 * @return {Void}
+					 */
+					openFieldValues = function( item ) {
+						var field = item && item.valueSource ? item.valueSource.field : null, state;
+
+						// Keep browsing the same field
+						if ($scope.fieldValues && $scope.fieldValues.field === field) {
+							return;
+						}
+
+						// Close the previous list
+						valueListReady = valueListReady.then( function( list ) {
+							return $q.resolve(list && list.close()).catch(_.noop).then( function() {
+								return null;
+							});
+						});
+
+						$scope.fieldValues = null;
+
+						if (! field) {
+							return;
+						}
+
+						state = $scope.fieldValues = {
+							field: field,
+							query: "",
+							sortBy: "frequency",
+							page: 0,
+							pageCount: 0,
+							total: 0,
+							values: []
+						};
+
+						valueListReady = valueListReady.then( function() {
+							return fieldValues.create(app.model.enigmaModel, field);
+						}).catch( function( error ) {
+							state.error = error.message || "The values could not be loaded"; // Translation?
+
+							return null;
+						});
+
+						withValueList(state, function( list ) {
+							return loadValuesPage(state, list, 0);
+						});
+					},
+
+					/**
+					 * Zoom the data model diagram with the mouse wheel
+					 *
+					 * @param  {Object} event Wheel event
+					 * @return {Void}
+					 */
+					onDiagramWheel = function( event ) {
+						if (event.target.closest && event.target.closest("#qs-emergo-app-inspector-modal .diagram-canvas")) {
+							event.preventDefault();
+							$scope.diagramZoom(event.deltaY < 0 ? 1.1 : 1 / 1.1);
+							qvangular.$apply($scope);
+						}
+					};
+
+					// Zoom the diagram on scrolling. Listen on the document, since the diagram is rendered on demand
+					document.addEventListener("wheel", onDiagramWheel, { passive: false });
+
+					// Setup scope labels and flags
+					$scope.okLabel = $scope.input.okLabel || translator.get( "Common.Done" );
+					$scope.cancelLabel = $scope.input.cancelLabel || translator.get( "Common.Cancel" );
+					$scope.loading = false;
+					$scope.isInspecting = true;
+
+					// Assets and items
+					$scope.activeAsset = "app";
+					$scope.activeItem = null;
+					$scope.activeSubItem = null;
+					$scope.activeSubItemIx = 0;
+					$scope.assets = assets.slice();
+					$scope.snapshot = null;
+					$scope.allItems = {};
+					$scope.filteredItems = {};
+					$scope.selected = [];
+					$scope.search = {
+						query: ""
+					};
+					$scope.fieldValues = null;
+
+					/**
+					 * Wrapper for an item label
+					 *
+					 * @param  {Object} item Item data
+					 * @return {String} Item label
+					 */
+					$scope.itemLabel = function( item ) {
+						var label = item.label;
+
+						if (-1 !== ["errors", "cleanup", "compare"].indexOf($scope.activeAsset)) {
+							label = getAssetLabel(item.asset).concat(" / ", label);
+						}
+
+						return label;
+					};
+
+					/**
+					 * Handle when an asset is clicked
+					 *
+					 * @param  {String} assetId Asset identifier
+					 * @return {Void}
+					 */
+					$scope.assetClicked = function( assetId ) {
+
+						// Clear active item when changing the asset type
+						if ($scope.activeAsset !== assetId) {
+							$scope.activeItem = null;
+						}
+
+						// Set active asset
+						$scope.activeAsset = assetId;
+
+						// Set the selected items
+						if ($scope.filteredItems.hasOwnProperty(assetId)) {
+							$scope.selected = $scope.filteredItems[assetId];
+
+							// Only update active item when not available in filtered list
+							if (null === $scope.activeItem || -1 === $scope.selected.indexOf($scope.activeItem)) {
+								$scope.activeItem = $scope.selected[0];
+							}
+
+							// Reset subitem
+							$scope.subItemClicked(0);
+						}
+					};
+
+					/**
+					 * Handle when a item is clicked
+					 *
+					 * @param  {Object} item Item data
+					 * @return {Void}
+					 */
+					$scope.itemClicked = function( item ) {
+
+						// Set active item
+						$scope.activeItem = item;
+
+						// Reset subitem
+						$scope.subItemClicked(0);
+					};
+
+					/**
+					 * Handle when a subitem is clicked
+					 *
+					 * @param  {Number} index Subitem index
+					 * @return {Void}
+					 */
+					$scope.subItemClicked = function( index ) {
+
+						// Set active subitem
+						if ($scope.activeItem && $scope.activeItem.items) {
+							$scope.activeSubItem = $scope.activeItem.items[index];
+							$scope.activeSubItemIx = index;
+						} else {
+							$scope.activeSubItem = null;
+							$scope.activeSubItemIx = 0;
+						}
+
+						// Calculate field profiles on demand
+						_.compact([$scope.activeItem, $scope.activeSubItem]).forEach( function( a ) {
+							if (a.profileSource) {
+								loadFieldProfile(app, a);
+							}
+						});
+
+						// Setup code and load object details on demand
+						_.compact([$scope.activeItem, $scope.activeSubItem]).forEach( function( a ) {
+							setupItemCode(a);
+
+							if (a.detailSource) {
+								inspection.loadObjectDetails([a.detailSource.objectId]).catch(_.noop);
+							}
+						});
+
+						// Browse the field's values
+						openFieldValues($scope.activeItem);
+					};
+
+					/**
+					 * Load a page of the browsed field's values
+					 *
+					 * @param  {Number} page Page index
+					 * @return {Void}
+					 */
+					$scope.fieldValuesPage = function( page ) {
+						var state = $scope.fieldValues;
+
+						if (state && page >= 0 && page < state.pageCount) {
+							withValueList(state, function( list ) {
+								return loadValuesPage(state, list, page);
+							});
+						}
+					};
+
+					/**
+					 * Search the browsed field's values
+					 *
+					 * @return {Void}
+					 */
+					$scope.fieldValuesSearch = function() {
+						var state = $scope.fieldValues;
+
+						if (state) {
+							withValueList(state, function( list ) {
+								return $q.resolve(list.search(state.query)).then( function() {
+									return loadValuesPage(state, list, 0);
+								});
+							});
+						}
+					};
+
+					/**
+					 * Sort the browsed field's values
+					 *
+					 * @param  {String} sortBy Sort option. Either 'frequency' or 'value'.
+					 * @return {Void}
+					 */
+					$scope.fieldValuesSort = function( sortBy ) {
+						var state = $scope.fieldValues;
+
+						if (state && state.sortBy !== sortBy) {
+							state.sortBy = sortBy;
+
+							withValueList(state, function( list ) {
+								return $q.resolve(list.sort(sortBy)).then( function() {
+									return loadValuesPage(state, list, 0);
+								});
+							});
+						}
+					};
+
+					/**
+					 * Handle navigating to another item by id
+					 *
+					 * @param  {String} id Item identifier
+					 * @return {Void}
+					 */
+					$scope.navToItem = function( id ) {
+						var item, i, j, k,
+
+						/**
+						 * Return whether the item matches the id
+						 *
+						 * @param  {Object} a Item data
+						 * @return {Boolean} Item matches
+						 */
+						isMatch = function( a ) {
+							return id === a.id || !! (a.properties && a.properties.qInfo && id === a.properties.qInfo.qId);
+						};
+
+						// Find item in assets
+						for (i in $scope.allItems) {
+
+							// Skip lists of items from other assets
+							if (! $scope.allItems.hasOwnProperty(i) || -1 !== ["errors", "cleanup", "duplicates", "compare"].indexOf(i)) {
+								continue;
+							}
+
+							// Find item in asset list
+							for (j = 0; j < $scope.allItems[i].length; j++) {
+								item = $scope.allItems[i][j];
+
+								// Match id in asset list
+								if (isMatch(item)) {
+									$scope.assetClicked(i);
+									$scope.itemClicked(item);
+									return;
+
+								// Find item in item's subitems
+								} else if (item.items && item.items.length) {
+									for (k = 0; k < item.items.length; k++) {
+
+										// Match id in item's subitems list
+										if (isMatch(item.items[k])) {
+											$scope.assetClicked(i);
+											$scope.itemClicked(item);
+											$scope.subItemClicked(k);
+											return;
+										}
+									}
+								}
+							}
+						}
+					};
+
+					/**
+					 * Copy value to clipboard
+					 *
+					 * @param  {String} value Value to copy
+					 * @return {Void}
+					 */
+					$scope.copyToClipboard = function( value ) {
+						util.copyToClipboard(value);
+					};
+
+					/**
+					 * Scroll the code view to a line and flash it
+					 *
+					 * @param  {Number} number Line number
+					 * @return {Void}
+					 */
+					$scope.scrollToLine = function( number ) {
+						var line = document.querySelector("#qs-emergo-app-inspector-modal .code-view .code-line[data-line=\"".concat(number, "\"]"));
+
+						if (line) {
+							line.scrollIntoView({ behavior: "smooth", block: "center" });
+							line.classList.remove("is-flashing");
+
+							// Restart the animation
+							void line.offsetWidth;
+							line.classList.add("is-flashing");
+						}
+					};
+
+					/**
+					 * Download the inspection report as a HTML file
+					 *
+					 * @return {Void}
+					 */
+					$scope.exportReport = function() {
+						withAllObjectDetails( function() {
+							var now = new Date();
+
+							// Setup the code of all items
+							_.flatten(_.values($scope.allItems)).forEach( function( a ) {
+								[a].concat(a.items || []).forEach(setupItemCode);
+							});
+
+							util.downloadFile(
+								getExportFilename(app, "html"),
+								exportUtil.html($scope.allItems, assets, {
+									title: "App Inspector for ".concat(app.model.layout.qTitle),
+									subtitle: app.id.concat(" - ", now.toLocaleString())
+								}),
+								"text/html"
+							);
+						});
+					};
+
+					/**
+					 * Download the inspection data as a JSON or NDJSON file
+					 *
+					 * @param  {String} format Export format. Either 'json' or 'ndjson'.
+					 * @return {Void}
+					 */
+					$scope.exportData = function( format ) {
+						var options = {
+							app: {
+								id: app.id,
+								title: app.model.layout.qTitle
+							},
+							generator: {
+								name: qext.title,
+								version: qext.version
+							}
+						};
+
+						withAllObjectDetails( function() {
+							if ("ndjson" === format) {
+								util.downloadFile(getExportFilename(app, "ndjson"), exportUtil.ndjson($scope.allItems, assets, options), "application/x-ndjson");
+							} else {
+								util.downloadFile(getExportFilename(app, "json"), exportUtil.json($scope.allItems, assets, options), "application/json");
+							}
+						});
+					};
+
+					/**
+					 * Holds the pan and zoom state of the data model diagram
+					 *
+					 * @type {Object}
+					 */
+					$scope.diagramView = { x: 0, y: 0, scale: 1 };
+
+					/**
+					 * Zoom the data model diagram
+					 *
+					 * @param  {Number} factor Zoom factor. Resets the view when 0.
+					 * @return {Void}
+					 */
+					$scope.diagramZoom = function( factor ) {
+						if (factor) {
+							$scope.diagramView.scale = Math.min(4, Math.max(.1, $scope.diagramView.scale * factor));
+						} else {
+							$scope.diagramView = { x: 0, y: 0, scale: 1 };
+						}
+					};
+
+					/**
+					 * Start panning the data model diagram
+					 *
+					 * @param  {Object} $event Mouse event
+					 * @return {Void}
+					 */
+					$scope.diagramPanStart = function( $event ) {
+						diagramDrag = {
+							x: $event.clientX - $scope.diagramView.x,
+							y: $event.clientY - $scope.diagramView.y,
+							startX: $event.clientX,
+							startY: $event.clientY,
+							isMoved: false
+						};
+					};
+
+					/**
+					 * Pan the data model diagram
+					 *
+					 * @param  {Object} $event Mouse event
+					 * @return {Void}
+					 */
+					$scope.diagramPan = function( $event ) {
+						if (diagramDrag) {
+							$scope.diagramView.x = $event.clientX - diagramDrag.x;
+							$scope.diagramView.y = $event.clientY - diagramDrag.y;
+
+							// Distinguish dragging from clicking
+							diagramDrag.isMoved = diagramDrag.isMoved || Math.abs($event.clientX - diagramDrag.startX) + Math.abs($event.clientY - diagramDrag.startY) > 3;
+						}
+					};
+
+					/**
+					 * Stop panning the data model diagram
+					 *
+					 * @return {Void}
+					 */
+					$scope.diagramPanEnd = function() {
+						if (diagramDrag) {
+							wasDiagramDragged = diagramDrag.isMoved;
+							diagramDrag = null;
+						}
+					};
+
+					/**
+					 * Navigate to the item of a table or field in the data model diagram
+					 *
+					 * Tables navigate to their lineage item, fields to their field item.
+					 *
+					 * @param  {Object} table Diagram table
+					 * @param  {Object} row   Optional. Diagram field row
+					 * @return {Void}
+					 */
+					$scope.diagramClicked = function( table, row ) {
+						if (wasDiagramDragged) {
+							wasDiagramDragged = false;
+							return;
+						}
+
+						if (row && ! row.isMore) {
+							$scope.navToItem(row.name);
+						} else if (! row && ! table.isSynthetic) {
+							$scope.navToItem("lineage-".concat(table.name));
+						}
+					};
 
-			// Open the modal
-			modal = qvangular.getService("luiDialog").show({
-				controller: ["$scope", function( $scope ) {
-					var dfd = $q.defer(),
+					/**
+					 * Download the data model diagram as a SVG file
+					 *
+					 * @return {Void}
+					 */
+					$scope.exportDiagram = function() {
+						util.downloadFile(
+							getExportFilename(app, "svg", "App Inspector Data model"),
+							diagram.svg($scope.activeItem.diagram, "Data model of ".concat(app.model.layout.qTitle)),
+							"image/svg+xml"
+						);
+					};
 
 					/**
-					 * Return whether the search query matches with the input value
+					 * Download the cleanup items as a CSV file
 					 *
-					 * @param  {String} input Text
-					 * @return {Boolean} Search query matches the text
+					 * @return {Void}
 					 */
-					matchSearchQuery = function( input ) {
-						return (!! input) && -1 !== input.toString().toLowerCase().indexOf( $scope.search.query.toString().toLowerCase() );
+					$scope.exportCleanup = function() {
+						util.downloadFile(getExportFilename(app, "csv", "App Inspector Cleanup"), getCleanupCsv($scope.allItems.cleanup), "text/csv");
 					};
 
-					// Setup scope labels and flags
-					$scope.okLabel = $scope.input.okLabel || translator.get( "Common.Done" );
-					$scope.cancelLabel = $scope.input.cancelLabel || translator.get( "Common.Cancel" );
-					$scope.loading = true;
+					/**
+					 * Store a snapshot of the inspection data in the browser
+					 *
+					 * @return {Void}
+					 */
+					$scope.storeSnapshot = function() {
+						withAllObjectDetails( function() {
+							return $q.resolve(inspectionCache.setSnapshot(app.id, exportUtil.json($scope.allItems, assets, {
+								app: {
+									id: app.id,
+									title: app.model.layout.qTitle
+								},
+								generator: {
+									name: qext.title,
+									version: qext.version
+								}
+							}))).then( function() {
+								qvangular.getService("qvConfirmDialog").show({
+									title: "Snapshot stored",
+									message: "The snapshot is stored in this browser. Use Load snapshot to compare the app with it later on.",
+									hideCancelButton: true
+								});
+							}).catch( function( error ) {
+								qvangular.getService("qvConfirmDialog").show({
+									title: "Snapshot not stored", // Translation?
+									message: error && "QuotaExceededError" === error.name
+										? "The snapshot does not fit in the browser's storage. Download the data with the JSON button instead and load that file as a snapshot later on." // Translation?
+										: "The snapshot could not be stored in this browser. Download the data with the JSON button instead and load that file as a snapshot later on.", // Translation?
+									hideCancelButton: true
+								});
+							});
+						});
+					};
 
-					// Assets and items
-					$scope.activeAsset = "app";
-					$scope.activeItem = null;
-					$scope.activeSubItem = null;
-					$scope.activeSubItemIx = 0;
-					$scope.assets = assets;
-					$scope.allItems = {};
-					$scope.filteredItems = {};
-					$scope.selected = [];
-					$scope.search = {
-						query: ""
+					/**
+					 * Toggle the popover for selecting the snapshot to load
+					 *
+					 * @return {Void}
+					 */
+					$scope.toggleSnapshotPopover = function() {
+						if (snapshotPopover.isActive()) {
+							snapshotPopover.close();
+						} else {
+							snapshotPopover.open();
+						}
 					};
 
 					/**
-					 * Wrapper for an item label
+					 * Remove the marked differences of the loaded snapshot
 					 *
-					 * @param  {Object} item Item data
-					 * @return {String} Item label
+					 * @return {Void}
 					 */
-					$scope.itemLabel = function( item ) {
-						var label = item.label;
+					$scope.clearSnapshot = function() {
+						clearSnapshot($scope.allItems);
+						$scope.snapshot = null;
+						filterItems();
+					};
 
-						if ("errors" === $scope.activeAsset) {
-							label = getAssetLabel(item.asset).concat(" / ", label);
+					/**
+					 * Toggle the popover for selecting the app to compare with
+					 *
+					 * @return {Void}
+					 */
+					$scope.toggleComparePopover = function() {
+						if (comparePopover.isActive()) {
+							comparePopover.close();
+						} else {
+							comparePopover.open();
 						}
-
-						return label;
 					};
 
 					/**
-					 * Handle when an asset is clicked
+					 * Compare the inspected app with another app
 					 *
-					 * @param  {String} assetId Asset identifier
+					 * @param  {String} appId App identifier
 					 * @return {Void}
 					 */
-					$scope.assetClicked = function( assetId ) {
+					$scope.compareWithApp = function( appId ) {
+						$scope.loading = true;
 
-						// Clear active item when changing the asset type
-						if ($scope.activeAsset !== assetId) {
-							$scope.activeItem = null;
-						}
+						$q.all([openApp(appId), loadAllObjectDetails()]).then( function( args ) {
+							var otherApp = args[0];
 
-						// Set active asset
-						$scope.activeAsset = assetId;
+							return getAppInspection(otherApp).then( function( otherItems ) {
+								$scope.allItems.compare = getComparisonItems($scope.allItems, otherItems, app, otherApp);
 
-						// Set the selected items
-						if ($scope.filteredItems.hasOwnProperty(assetId)) {
-							$scope.selected = $scope.filteredItems[assetId];
+								// Add the comparison asset once
+								if (! _.findWhere($scope.assets, { id: "compare" })) {
+									$scope.assets.push({
+										id: "compare",
+										label: "Comparison" // Translation?
+									});
+								}
 
-							// Only update active item when not available in filtered list
-							if (null === $scope.activeItem || -1 === $scope.selected.indexOf($scope.activeItem)) {
-								$scope.activeItem = $scope.selected[0];
-							}
+								$scope.activeAsset = "compare";
+								$scope.activeItem = null;
+							});
+						}).catch(showInspectorError).finally( function() {
+							$scope.loading = false;
+							filterItems();
 
-							// Reset subitem
-							$scope.subItemClicked(0);
-						}
+							// Update view to reflect the comparison
+							qvangular.$apply($scope);
+						});
 					};
 
 					/**
-					 * Handle when a item is clicked
+					 * Load all assets again, skipping the cache
 					 *
-					 * @param  {Object} item Item data
 					 * @return {Void}
 					 */
-					$scope.itemClicked = function( item ) {
+					$scope.refreshInspection = function() {
+						$scope.isInspecting = true;
 
-						// Set active item
-						$scope.activeItem = item;
+						inspection.refresh().then( function() {
 
-						// Reset subitem
-						$scope.subItemClicked(0);
+							// Compare the snapshot with the details of all sheet objects
+							if ($scope.snapshot) {
+								return loadAllObjectDetails();
+							}
+						}).catch(_.noop).finally( function() {
+							$scope.isInspecting = false;
+						});
 					};
 
 					/**
-					 * Handle when a subitem is clicked
+					 * Return how old the displayed data is
 					 *
-					 * @param  {Number} index Subitem index
-					 * @return {Void}
+					 * @return {Object} Age with `label`, `date` and `isCached`
 					 */
-					$scope.subItemClicked = function( index ) {
-
-						// Set active subitem
-						if ($scope.activeItem && $scope.activeItem.items) {
-							$scope.activeSubItem = $scope.activeItem.items[index];
-							$scope.activeSubItemIx = index;
-						} else {
-							$scope.activeSubItem = null;
-							$scope.activeSubItemIx = 0;
-						}
+					$scope.inspectionAge = function() {
+						return inspection && inspection.loadedAt ? {
+							label: getAgeLabel(inspection.loadedAt),
+							date: new Date(inspection.loadedAt).toLocaleString(),
+							isCached: inspection.isCached
+						} : null;
 					};
 
 					/**
-					 * Handle navigating to another item by id
+					 * Retry loading the asset
 					 *
-					 * @param  {String} id Item identifier
+					 * @param  {String} assetId Asset identifier
 					 * @return {Void}
 					 */
-					$scope.navToItem = function( id ) {
-						var item, subItemIx, i, j;
+					$scope.retryAsset = function( assetId ) {
+						$scope.isInspecting = true;
 
-						// Find item in assets
-						for (i in $scope.allItems) {
+						inspection.retry(assetId).catch(_.noop).finally( function() {
+							$scope.isInspecting = false;
+						});
+					};
 
-							// Find item in asset list
-							for (j = 0; j < $scope.allItems[i].length; j++) {
+					// Get the requested app's objects asset by asset
+					inspection = loadAppInspection(app, {
+						lazy: true,
+						cache: true,
+						live: true,
+						onChange: applyInspection
+					});
 
-								// Match id in asset list
-								if (id === $scope.allItems[i][j].id) {
-									$scope.assetClicked(i);
-									$scope.itemClicked($scope.allItems[i][j]);
-									return;
+					$scope.allItems = inspection.items;
+					$scope.assetStatus = inspection.status;
+					$scope.detailsStatus = inspection.detailsStatus;
 
-								// Find item in item's children
-								} else if ($scope.allItems[i][j].children && $scope.allItems[i][j].children.length) {
-									for (k = 0; k < $scope.allItems[i][j].children; k++) {
+					// Failures are shown per asset
+					inspection.promise.catch(_.noop).finally( function() {
+						$scope.isInspecting = false;
+					});
 
-										// Match id in item's children list
-										if (id === $scope.allItems[i][j].children[k].id) {
-											$scope.assetClicked(i);
-											$scope.itemClicked($scope.allItems[i][j]);
-											$scope.subItemClicked(subItemIx);
-											return;
-										}
-									}
-								}
-							}
-						}
+					// Setup watcher for search
+					$scope.$watch("search.query", function() {
+						filterItems();
+
+						// Update view to reflect search results
+						qvangular.$apply($scope);
+					});
+
+					// Provide modal close method to the template
+					$scope.close = function() {
+						modal.close();
 					};
 
+					// Clean up when the modal is closed
+					$scope.$on("$destroy", function() {
+						inspection.close();
+						snapshotPopover.close();
+						comparePopover.close();
+						document.removeEventListener("wheel", onDiagramWheel);
+
+						// Remove the value list
+						openFieldValues(null);
+					});
+				}],
+				template: modalTmpl,
+				input: {
+					title: "App Inspector for ".concat(app.model.layout.qTitle),
+					hideCancelButton: true,
+					hideOkButton: false
+				},
+				variant: false,
+				closeOnEscape: true
+			});
+
+			// Close the FSM when closing the modal
+			modal.closed.then( function() {
+				fsm.close();
+				modal = null;
+			});
+		},
+
+		/**
+		 * Open the batch audit modal
+		 *
+		 * Audits the apps of the selected scope one by one, without loading their
+		 * data. Apps that were opened for the audit are closed afterwards.
+		 *
+		 * @return {Void}
+		 */
+		showBatchAudit = function() {
+
+			// Open the modal
+			modal = qvangular.getService("luiDialog").show({
+				controller: ["$scope", function( $scope ) {
+
 					/**
-					 * Copy value to clipboard
+					 * Holds the active batch run
 					 *
-					 * @param  {String} value Value to copy
-					 * @return {Void}
+					 * @type {Object|Null}
 					 */
-					$scope.copyToClipboard = function( value ) {
-						util.copyToClipboard(value);
-					};
+					var run = null,
 
-					// Get the requested app's objects
-					$q.all({
-						app: getAppInfo(app),
-						script: getScriptInfo(app),
-						field: getFieldInfo(app),
-						sheet: getSheetInfo(app),
-						dimension: getDimensionInfo(app),
-						measure: getMeasureInfo(app),
-						masterObject: getMasterObjectInfo(app),
-						"alternate-state": getAlternateStateInfo(app),
-						variable: getVariableInfo(app),
-						bookmark: getBookmarkInfo(app)
-					}).then( function( args ) {
-
-						// Fetch loaded extension list from app info
-						return appInfo.extensions().then( function( extensionList ) {
-							args.extensionList = extensionList;
-							return args;
-						});
+					/**
+					 * Return the summary of an app
+					 *
+					 * @param  {Object} item App list item
+					 * @return {Promise} App summary
+					 */
+					auditApp = function( item ) {
+						var wasOpened = _apps.hasOwnProperty(item.id);
 
-					}).then( function( args ) {
-						var uniqObjects, i, defaultBookmarkId;
+						return openApp(item.id).then(getAppSummary).finally( function() {
 
-						// Prepare items
-						for (i in args) {
-							if (Array.isArray(args[i])) {
-								$scope.allItems[i] = args[i].map(prepareItem);
+							// Keep the number of open apps low
+							if (! wasOpened) {
+								return closeApp(item.id);
 							}
-						}
+						});
+					},
 
-						// Setup items derived from others
-						uniqObjects               = getUniqueAppObjectsFromSheets(args.sheet, args.extensionList, app);
-						$scope.allItems.chart     = uniqObjects.filter( function( a ) { return ! a.isThirdParty; });
-						$scope.allItems.extension = uniqObjects.filter( function( a ) { return a.isThirdParty; });
-
-						// Mark the default bookmark found in the AppPropsList
-						defaultBookmarkId = $scope.allItems.app.find( function( a ) {
-							return a.id === "AppPropsList";
-						}).layout.defaultBookmarkId;
-
-						if (!! defaultBookmarkId) {
-							for (i = 0; i < $scope.allItems.bookmarks.length; i++) {
-								if ($scope.allItems.bookmarks[i].id === defaultBookmarkId) {
-									$scope.allItems.bookmarks[i].icon = "bookmark";
-									$scope.allItems.bookmarks[i].details.push({
-										id: "default",
-										label: translator.get("Bookmarks.StartBookmark"),
-										value: [translator.get("Bookmarks.StartBookmark.Hint")]
-									});
-									break;
-								}
-							}
-						}
+					/**
+					 * Setup the extension inventory from the audit results
+					 *
+					 * Loads the QEXT files of all installed extensions for their versions.
+					 *
+					 * @return {Promise} Inventory is setup
+					 */
+					setupInventory = function() {
+						$scope.batch.isLoadingInventory = true;
+
+						return appInfo.extensions().then( function( extensionList ) {
+							return appInfo.extensions({ extensionIds: _.keys(extensionList) });
+						}).then( function( extensionList ) {
+							$scope.batch.inventory = getExtensionInventory(extensionList, $scope.batch.results);
+						}).catch(showInspectorError).finally( function() {
+							$scope.batch.isLoadingInventory = false;
+						});
+					};
 
-						// Set default opener
-						$scope.selected = $scope.allItems.app;
-						$scope.activeItem = $scope.allItems.app.length && $scope.allItems.app[0];
+					// Setup scope labels and flags
+					$scope.okLabel = $scope.input.okLabel || translator.get( "Common.Done" );
+					$scope.loading = true;
+					$scope.columns = batchColumns;
+					$scope.scopes = [];
+					$scope.batch = {
+						scopeId: "all",
+						view: "apps",
+						results: [],
+						inventory: [],
+						done: 0,
+						total: 0,
+						isRunning: false,
+						isCancelling: false,
+						isCancelled: false
+					};
 
-						// Notify loading is done
+					// List the selectable scopes
+					appInfo.apps().then( function( apps ) {
+						$scope.scopes = getBatchScopes(apps);
+					}).catch(showInspectorError).finally( function() {
 						$scope.loading = false;
+					});
 
-						// Setup watcher for search. This is defined AFTER allItems are retreived, so that
-						// the watcher on initial trigger will apply correctly.
-						$scope.$watch("search.query", function( query ) {
-							var i;
-
-							for (i in $scope.allItems) {
-								if ($scope.allItems.hasOwnProperty(i)) {
-									$scope.filteredItems[i] = $scope.allItems[i].filter( function( a ) {
-										return (! query.length)
-											|| matchSearchQuery(a.id) // Search by id
-											|| matchSearchQuery(a.label) // Search by label
-											|| matchSearchQuery(a.searchTerms); // Search by pre-defined terms
-									});
-								}
-							}
+					/**
+					 * Return the selected scope
+					 *
+					 * @return {Object} Scope
+					 */
+					$scope.selectedScope = function() {
+						return _.findWhere($scope.scopes, { id: $scope.batch.scopeId });
+					};
 
-							// Update selected list
-							$scope.assetClicked($scope.activeAsset);
+					/**
+					 * Run the audit for the apps in the selected scope
+					 *
+					 * @return {Void}
+					 */
+					$scope.runAudit = function() {
+						var selected = $scope.selectedScope();
 
-							// Update view to reflect search results
-							qvangular.$apply($scope);
-						});
+						if (! selected || $scope.batch.isRunning) {
+							return;
+						}
 
-						// Collect errors
-						$scope.allItems.errors = [];
-						for (i in $scope.allItems) {
-							if ($scope.allItems.hasOwnProperty(i) && "errors" !== i) {
-								$scope.allItems[i].forEach( function( a ) {
-									if (a.errors && a.errors.length) {
-										a.asset = i;
-										$scope.allItems.errors.push(a);
-									}
+						_.extend($scope.batch, {
+							results: [],
+							inventory: [],
+							done: 0,
+							total: selected.apps.length,
+							isRunning: true,
+							isCancelling: false,
+							isCancelled: false
+						});
 
-									// Add individual errors from sub-items
-									if (a.items && a.items.length) {
-										a.items.forEach( function( b ) {
-											if (b.errors && b.errors.length) {
-												b.asset = i;
-												b.label = a.label;
-												b.icon  = "debug";
-												$scope.allItems.errors.push(b);
-											}
-										})
-									}
-								});
+						run = batch.run(selected.apps, auditApp, {
+							onProgress: function( result, index, total ) {
+								$scope.batch.results.push(result);
+								$scope.batch.done = index + 1;
 							}
-						}
+						});
 
-					}).catch( function( error ) {
-						console.error(error);
+						run.promise.then( function( summary ) {
+							$scope.batch.isCancelled = summary.isCancelled;
 
-						qvangular.getService("qvConfirmDialog").show({
-							title: "Inspector error",
-							message: "Inspect the browser's console for any relevant error data.",
-							hideCancelButton: true
+							return setupInventory();
+						}).catch(showInspectorError).finally( function() {
+							$scope.batch.isRunning = false;
+							$scope.batch.isCancelling = false;
+							run = null;
 						});
-					});
+					};
+
+					/**
+					 * Cancel the running audit after the current app
+					 *
+					 * @return {Void}
+					 */
+					$scope.cancelAudit = function() {
+						if (run) {
+							run.cancel();
+							$scope.batch.isCancelling = true;
+						}
+					};
+
+					/**
+					 * Download the audit results or the extension inventory as a CSV file
+					 *
+					 * @return {Void}
+					 */
+					$scope.exportAudit = function() {
+						if ("extensions" === $scope.batch.view) {
+							util.downloadFile(getExportFilename(currApp, "csv", "App Inspector Extensions"), getExtensionInventoryCsv($scope.batch.inventory), "text/csv");
+						} else {
+							util.downloadFile(getExportFilename(currApp, "csv", "App Inspector Audit"), getBatchCsv($scope.batch.results), "text/csv");
+						}
+					};
 
 					// Provide modal close method to the template
 					$scope.close = function() {
 						modal.close();
 					};
+
+					// Stop the audit when the modal is closed
+					$scope.$on("$destroy", function() {
+						if (run) {
+							run.cancel();
+						}
+					});
 				}],
-				template: modalTmpl,
+				template: batchTmpl,
 				input: {
-					title: "App Inspector for ".concat(app.model.layout.qTitle),
+					title: "Audit apps", // Translation?
 					hideCancelButton: true,
 					hideOkButton: false
 				},
@@ -1446,21 +5165,48 @@ define([
 		/**
 		 * Button select handler
 		 *
+		 * Toggles the popover for selecting the app to inspect.
+		 *
 		 * @return {Void}
 		 */
 		$scope.open = function() {
 			if ($scope.object.inEditState()) {
-				fsm.open(currApp.id);
+				if (popover.isActive()) {
+					popover.close();
+				} else {
+					popover.open();
+				}
 			}
 		};
 
 		/**
-		 * Return whether the modal is opened/active
+		 * Return whether the popover or modal is opened/active
 		 *
 		 * @return {Boolean}
 		 */
 		$scope.isActive = function() {
-			return fsm.$is("MODAL");
+			return popover.isActive() || fsm.$is("MODAL");
+		};
+
+		/**
+		 * Open the batch audit modal
+		 *
+		 * @return {Void}
+		 */
+		$scope.audit = function() {
+			if ($scope.object.inEditState()) {
+				popover.close();
+				fsm.audit();
+			}
+		};
+
+		/**
+		 * Return whether the batch audit modal is opened
+		 *
+		 * @return {Boolean}
+		 */
+		$scope.isAuditing = function() {
+			return fsm.$is("BATCH");
 		};
 
 		/**
@@ -1469,6 +5215,7 @@ define([
 		 * @return {Void}
 		 */
 		$scope.$on("$destroy", function() {
+			popover.close();
 			closeAppInspectorForApp();
 		});
 	}];
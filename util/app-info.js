@@ -76,6 +76,215 @@ define([
 		return apps[appId];
 	},
 
+	/**
+	 * Close an opened app
+	 *
+	 * The current app is never closed.
+	 *
+	 * @param  {String} appId App identifier
+	 * @return {Promise} App is closed
+	 */
+	closeApp = function( appId ) {
+		var app = apps[appId];
+
+		// Bail when the app was not opened
+		if (! app || appId === currApp.id) {
+			return $q.resolve();
+		}
+
+		delete apps[appId];
+
+		return app.then( function( a ) {
+			return a.close();
+		}).catch( function() {
+			// Closing failed apps is not relevant
+		});
+	},
+
+	/**
+	 * Holds the default options for loading list items
+	 *
+	 * @type {Object}
+	 */
+	loadOptions = {
+
+		// Number of items that are loaded at the same time
+		concurrency: 6,
+
+		// Number of items that are loaded before starting the next batch
+		batchSize: 50
+	},
+
+	/**
+	 * Call the callback when the engine object changes
+	 *
+	 * Enigma models emit a `changed` event, while objects of Qlik's engine API
+	 * signal an invalidation. Objects of Qlik's engine API are also invalidated
+	 * when their layout changes, like after making selections, so for these the
+	 * callback is only called when the object's properties changed.
+	 *
+	 * @param  {Object}   object   Engine object
+	 * @param  {Function} callback Called when the object changes
+	 * @return {Function} Stops watching the object
+	 */
+	watchObject = function( object, callback ) {
+		var properties, onInvalidated;
+
+		if ("function" === typeof object.on) {
+			object.on("changed", callback);
+
+			return function() {
+				object.removeListener("changed", callback);
+			};
+		} else if (object.Invalidated && "function" === typeof object.Invalidated.bind) {
+			properties = getPropertiesJson(object);
+
+			/**
+			 * Call the callback when the object's properties changed
+			 *
+			 * @return {Void}
+			 */
+			onInvalidated = function() {
+				var previous = properties;
+
+				properties = getPropertiesJson(object);
+
+				$q.all([previous, properties]).then( function( args ) {
+					if (args[0] !== args[1]) {
+						callback();
+					}
+
+				// Report the change when the properties cannot be read, so loading the object shows why
+				}).catch(callback);
+			};
+
+			object.Invalidated.bind(onInvalidated);
+
+			return function() {
+				object.Invalidated.unbind(onInvalidated);
+			};
+		}
+
+		return _.noop;
+	},
+
+	/**
+	 * Return the engine object's current properties as text
+	 *
+	 * @param  {Object} object Engine object
+	 * @return {Promise} Properties text
+	 */
+	getPropertiesJson = function( object ) {
+		return $q.resolve(object.getProperties()).then( function( properties ) {
+
+			// Objects of Qlik's engine API keep their properties on the object
+			return JSON.stringify(object.properties || properties);
+		});
+	},
+
+	/**
+	 * Open the app's engine objects of the given type
+	 *
+	 * Objects that cannot be opened are left out.
+	 *
+	 * @param  {String} appId   App identifier
+	 * @param  {String} type    Object type. Either 'dimension', 'measure', 'masterObject', 'variable' or 'bookmark'.
+	 * @param  {Array}  ids     Object identifiers
+	 * @param  {Object} options Optional. Load options, like the `concurrency` and `batchSize` of `mapConcurrent()`.
+	 * @return {Promise} Engine objects
+	 */
+	getEngineObjects = async function( appId, type, ids, options ) {
+		var app = await openApp(appId), engineApp = app.model.engineApp;
+
+		return mapConcurrent(ids, function( id ) {
+			var object;
+
+			switch (type) {
+				case "dimension":
+					object = engineApp.getDimension({ qId: id });
+					break;
+				case "measure":
+					object = engineApp.getMeasure({ qId: id });
+					break;
+				case "variable":
+					object = engineApp.getVariableById(id);
+					break;
+				case "bookmark":
+					object = engineApp.getBookmark(id);
+					break;
+				default:
+					object = engineApp.getObject({ qId: id });
+			}
+
+			// Wrap the object, since the loaded items record their load time
+			return $q.resolve(object).then( function( object ) {
+				return { object: object };
+			}).catch(_.noop);
+		}, options).then( function( results ) {
+			return _.pluck(results, "object");
+		});
+	},
+
+	/**
+	 * Load list items with bounded concurrency
+	 *
+	 * Items are loaded in batches. Within a batch, a limited number of items is
+	 * loaded at the same time. The loaded items are returned in the order of the
+	 * input list. Items that resolve empty are left out. Each loaded item records
+	 * its load time in `timing.duration` in milliseconds.
+	 *
+	 * @param  {Array}    items               List items
+	 * @param  {Function} load                Loader that receives the list item and returns a promise
+	 * @param  {Object}   options             Optional. Load options
+	 * @param  {Number}   options.concurrency Optional. Number of items loaded at the same time
+	 * @param  {Number}   options.batchSize   Optional. Number of items per batch
+	 * @return {Promise} Loaded items
+	 */
+	mapConcurrent = function( items, load, options ) {
+		var results = new Array(items.length), concurrency, batchSize, batches = [], i;
+
+		options = options || {};
+		concurrency = Math.max(1, options.concurrency || loadOptions.concurrency);
+		batchSize = Math.max(1, options.batchSize || loadOptions.batchSize);
+
+		for (i = 0; i < items.length; i += batchSize) {
+			batches.push(_.range(i, Math.min(i + batchSize, items.length)));
+		}
+
+		return batches.reduce( function( promise, batch ) {
+			return promise.then( function() {
+				var next = 0,
+
+				/**
+				 * Load the next item of the batch
+				 *
+				 * @return {Promise} Batch is done
+				 */
+				loadNext = function() {
+					var index = batch[next++], start = Date.now();
+
+					if ("undefined" === typeof index) {
+						return $q.resolve();
+					}
+
+					return $q.resolve(load(items[index], index)).then( function( result ) {
+						if (result) {
+							result.timing = {
+								duration: Date.now() - start
+							};
+						}
+
+						results[index] = result;
+					}).then(loadNext);
+				};
+
+				return $q.all(_.range(Math.min(concurrency, batch.length)).map(loadNext));
+			});
+		}, $q.resolve()).then( function() {
+			return results.filter(Boolean);
+		});
+	},
+
 	/**
 	 * Return whether the app runs in a Qlik Sense Desktop context
 	 *
@@ -231,6 +440,69 @@ define([
 		return dfd.promise;
 	},
 
+	/**
+	 * Load info for apps
+	 *
+	 * QS Desktop has no Repository, so the apps are listed from the engine's doc list.
+	 * Other environments query the QRS REST API, falling back to the doc list when
+	 * the request fails.
+	 *
+	 * @return {Promise} App list
+	 */
+	getApps = function() {
+		var dfd = $q.defer(),
+
+		/**
+		 * Resolve with the apps from the engine's doc list
+		 *
+		 * @return {Void}
+		 */
+		loadFromDocList = function() {
+			qlik.getAppList( function( list ) {
+				dfd.resolve(list.map( function( a ) {
+					return {
+						id: a.qDocId,
+						label: a.qTitle || a.qDocName,
+						stream: null,
+						owner: null,
+						tags: [],
+						lastReloadTime: a.qLastReloadTime || null
+					};
+				}));
+			});
+		};
+
+		// Use the engine's doc list
+		if (isQlikSenseDesktop) {
+			loadFromDocList();
+
+		// Call the QRS REST API
+		} else {
+			request({
+				url: "/qrs/app/full"
+			}).then( function( resp ) {
+				dfd.resolve(resp.data.map( function( a ) {
+					return {
+						id: a.id,
+						label: a.name,
+						stream: a.published && a.stream ? a.stream.name : null,
+						owner: a.owner ? "".concat(a.owner.userDirectory, "/", a.owner.userId) : null,
+						tags: _.pluck(a.tags || [], "name"),
+						lastReloadTime: a.lastReloadTime || null
+					};
+				}));
+			}).catch(loadFromDocList);
+		}
+
+		return dfd.promise.then( function( list ) {
+
+			// Return the full list sorted
+			return list.sort( function( a, b ) {
+				return a.label.toLowerCase().localeCompare(b.label.toLowerCase());
+			});
+		});
+	},
+
 	/**
 	 * Load info for script
 	 *
@@ -269,6 +541,125 @@ define([
 		large:  translator.get("properties.gridLarge")
 	},
 
+	/**
+	 * Load a sheet object with its details
+	 *
+	 * The details are the linked master object, the children and the validation of
+	 * the object's expressions.
+	 *
+	 * @param  {Object} app      App object
+	 * @param  {String} objectId Object identifier
+	 * @param  {Object} options  Load options, like `validate`
+	 * @return {Promise} Sheet object with `errors`, `expressions`, `children`, `properties` and `masterobject`
+	 */
+	getSheetObject = function( app, objectId, options ) {
+		return app.getObjectProperties(objectId).then( function( c ) {
+
+			// Find the master object behind
+			return (c.properties.qExtendsId && app.getObjectProperties(c.properties.qExtendsId).then( function( d ) {
+
+				// Provide master object properties
+				c.__masterobject = d.properties;
+
+				return c;
+			}) || $q.resolve(c)).then( function( d ) {
+
+				// Fetch property tree to load list of children on the object.
+				// This is mostly relevant for listboxes on a filterpane.
+				if (d.properties.hasOwnProperty("qChildListDef")) {
+					return app.getFullPropertyTree(d.id).then( function() {
+						return d;
+					});
+				} else {
+					return d;
+				}
+			}).then( function( d ) {
+				var dfd = $q.defer();
+
+				// Attach validation result to object
+				if (options.validate) {
+					validateVisualizationExpressions(app, d).then( function( validation ) {
+						d.__validation = validation;
+						dfd.resolve(d);
+					});
+				} else {
+					d.__validation = getEmptyExpressionValidation();
+					dfd.resolve(d);
+				}
+
+				return dfd.promise;
+			}).then( function( d ) {
+				return {
+					errors: getErrorsFromExpressionValidation(d.__validation),
+					expressions: getExpressionsFromValidation(d.__validation),
+					children: d.hasOwnProperty("__propertyTree") ? d.__propertyTree.qChildren : [],
+					properties: d.properties,
+					masterobject: d.__masterobject
+				};
+			});
+		});
+	},
+
+	/**
+	 * Return a sheet object without its details from the sheet's property tree
+	 *
+	 * The sheet's property tree holds the properties and children of all its objects,
+	 * so no requests are made per object. The expressions are listed from the
+	 * properties, but not expanded nor validated.
+	 *
+	 * @param  {Object} sheetTree Property tree of the sheet
+	 * @param  {String} objectId  Object identifier
+	 * @return {Object|Null} Sheet object or `null` when not found in the tree
+	 */
+	getShallowSheetObject = function( sheetTree, objectId ) {
+		var entry = _.find(sheetTree.qChildren || [], function( a ) {
+			return a.qProperty.qInfo.qId === objectId;
+		}), viz;
+
+		if (! entry) {
+			return null;
+		}
+
+		viz = { properties: entry.qProperty };
+
+		// Consider the listboxes on a filterpane
+		if (entry.qProperty.hasOwnProperty("qChildListDef")) {
+			viz.__propertyTree = entry;
+		}
+
+		return {
+			errors: [],
+			expressions: (getVisualizationExpressions(viz) || []).map( function( a ) {
+				return {
+					expression: a,
+					expanded: null
+				};
+			}),
+			children: viz.__propertyTree ? entry.qChildren : [],
+			properties: entry.qProperty,
+			masterobject: null,
+			isShallow: true
+		};
+	},
+
+	/**
+	 * Load a sheet object with its details
+	 *
+	 * Used for loading the details of sheet objects that were loaded without details.
+	 *
+	 * @param {String} appId    App identifier
+	 * @param {String} objectId Object identifier
+	 * @param {Object} options  Optional. Load options, like `validate`.
+	 * @return {Promise} Loaded sheet object
+	 */
+	getSheetObjectDetails = async function( appId, objectId, options ) {
+		var app = await openApp(appId);
+
+		return getSheetObject(app, objectId, _.defaults(options || {}, {
+			validate: true
+		}));
+	},
+
 	/**
 	 * Load info for sheets
 	 *
@@ -282,6 +673,7 @@ define([
 		// Define default options
 		options = _.defaults(options || {}, {
 			loadWithObjects: false,
+			loadDetails: true,
 			includeSummary: false,
 			validate: false
 		});
@@ -294,50 +686,26 @@ define([
 
 				// Get details of each sheet's objects
 				sessionObject.layout.qAppObjectList.qItems.forEach( function( a ) {
+					var sheetTree;
 
 					// Get sheet layout and properties
 					sheets[a.qInfo.qId] = app.getObject(a.qInfo.qId);
 
+					// Get the objects without details from the sheet's property tree at once
+					if (options.loadWithObjects && ! options.loadDetails) {
+						sheetTree = app.getFullPropertyTree(a.qInfo.qId).then( function( c ) {
+							return c.propertyTree;
+						});
+					}
+
 					// Get sheet objects details
 					if (options.loadWithObjects) {
 						a.qData.cells.forEach( function( b ) {
-							sheetObjects[b.name] = app.getObjectProperties(b.name).then( function( c ) {
-
-								// Find the master object behind
-								return (c.properties.qExtendsId && app.getObjectProperties(c.properties.qExtendsId).then( function( d ) {
-
-									// Provide master object properties
-									c.__masterobject = d.properties;
-
-									return c;
-								}) || $q.resolve(c)).then( function( d ) {
-
-									// Fetch property tree to load list of children on the object.
-									// This is mostly relevant for listboxes on a filterpane.
-									if (d.properties.hasOwnProperty("qChildListDef")) {
-										return app.getFullPropertyTree(d.id).then( function() {
-											return d;
-										});
-									} else {
-										return d;
-									}
-								}).then( function( d ) {
-									var dfd = $q.defer();
-
-									// Attach validation result to object
-									if (options.validate) {
-										validateVisualizationExpressions(app, d).then( function( validation ) {
-											d.__validation = validation;
-											dfd.resolve(d);
-										});
-									} else {
-										d.__validation = getEmptyExpressionValidation();
-										dfd.resolve(d);
-									}
-
-									return dfd.promise;
-								});
-							});
+							sheetObjects[b.name] = sheetTree ? sheetTree.then( function( tree ) {
+
+								// Load the object itself when it is not found in the tree
+								return getShallowSheetObject(tree, b.name) || getSheetObject(app, b.name, options);
+							}) : getSheetObject(app, b.name, options);
 
 							// Load extension metadata
 							extensionIds.push(b.type);
@@ -361,13 +729,7 @@ define([
 						// Collect sheet objects
 						if (options.loadWithObjects) {
 							visualizations = object.properties.cells.map( function( a ) {
-								return {
-									cell: a,
-									errors: getErrorsFromExpressionValidation(args[a.name].__validation),
-									children: args[a.name].hasOwnProperty("__propertyTree") ? args[a.name].__propertyTree.qChildren : [],
-									properties: args[a.name].properties,
-									masterobject: args[a.name].__masterobject
-								};
+								return _.extend({ cell: a }, args[a.name]);
 							});
 
 							// List unique objects on the sheet
@@ -530,27 +892,39 @@ define([
 	 * @return {Promise} Validation result
 	 */
 	validateVisualizationExpressions = function( app, viz ) {
-		var expressions = [];
+		var expressions = getVisualizationExpressions(viz);
+
+		// Unknown structure
+		if (! expressions) {
+			return $q.resolve(getEmptyExpressionValidation());
+		}
+
+		return validateExpressions(app, expressions);
+	},
+
+	/**
+	 * Return the expressions of a visualization object
+	 *
+	 * @param  {Object} viz Visualization object
+	 * @return {Array|Null} Expressions or `null` for an unknown structure
+	 */
+	getVisualizationExpressions = function( viz ) {
 
 		// Think of the children
 		if (viz.hasOwnProperty("__propertyTree")) {
-			expressions.push.apply(expressions,
-				_.flatten(viz.__propertyTree.qChildren.map( function( a ) { return a.qProperty.qListObjectDef.qDef.qFieldDefs; }))
-			);
+			return _.flatten(viz.__propertyTree.qChildren.map( function( a ) { return a.qProperty.qListObjectDef.qDef.qFieldDefs; }));
 
 		// Consider the hypercube
 		} else if (viz.properties.hasOwnProperty("qHyperCubeDef")) {
-			expressions.push.apply(expressions, [].concat(
+			return [].concat(
 				_.flatten(viz.properties.qHyperCubeDef.qDimensions.map( function( a ) { return a.qDef.qFieldDefs; })),
 				_.flatten(viz.properties.qHyperCubeDef.qMeasures.map( function( a ) { return a.qDef.qDef; }))
-			));
+			);
 
 		// Unknown structure
 		} else {
-			return $q.resolve(getEmptyExpressionValidation());
+			return null;
 		}
-
-		return validateExpressions(app, expressions);
 	},
 
 	/**
@@ -586,15 +960,47 @@ define([
 		});
 	},
 
+	/**
+	 * Return set of expressions with their expanded text from expression validation object
+	 *
+	 * @param  {Object} validation Expression validation object
+	 * @return {Array} Expressions with `expression` and `expanded`
+	 */
+	getExpressionsFromValidation = function( validation ) {
+		return validation.errors.map( function( a ) {
+			return {
+				expression: a.expression,
+				expanded: a.expanded
+			};
+		});
+	},
+
+	/**
+	 * Load the definitions of all variables, including reserved variables
+	 *
+	 * @param {String} appId App identifier
+	 * @return {Promise} Variable definitions by name
+	 */
+	getVariableDefinitions = async function( appId ) {
+		var app = await openApp(appId);
+
+		return app.model.enigmaModel.getVariableList().then( function( items ) {
+			return items.reduce( function( definitions, a ) {
+				definitions[a.qName] = a.qDefinition;
+				return definitions;
+			}, {});
+		});
+	},
+
 	/**
 	 * Load info for master dimensions
 	 *
 	 * @param {String} appId App identifier
-	 * @param {Object} options Optional. Load options.
+	 * @param {Object} options Optional. Load options, like `validate`, `watch` and the `concurrency` and `batchSize` of `mapConcurrent()`.
 	 * @return {Promise} Loaded info
 	 */
 	getDimensions = async function( appId, options ) {
-		var app = await openApp(appId), list = [];
+		var app = await openApp(appId);
 
 		options = options || {};
 		options.validate = options.validate || false;
@@ -603,94 +1009,97 @@ define([
 		return app.model.enigmaModel.getDimensionList().then( function( items ) {
 
 			// Walk list items
-			return items.reduce( function( promise, a ) {
+			return mapConcurrent(items, function( a ) {
 
 				// Get full dimension info
-				return promise.then( function() {
-
-					// Load dimension's layout and properties. Ignore using `app.getObjectProperties()` as
-					// this does not return reliable results for master items in server environments.
-					return app.model.engineApp.getDimension({ qId: a.qInfo.qId }).then( function( b ) {
-
-						// Layout contains published metadata, properties contain defined settings.
-						// These details will be loaded 'unto' the original object.
-						return $q.all([ b.getLayout(), b.getProperties() ]).then( function() {
-							var dfd = $q.defer();
-
-							// Attach validation result to object
-							if (options.validate) {
-								validateExpressions(app, b.properties.qDim.qFieldDefs).then( function( validation ) {
-									b.__validation = validation;
-									dfd.resolve(b);
-								});
-							} else {
-								b.__validation = getEmptyExpressionValidation();
-								dfd.resolve(b);
-							}
+				// Load dimension's layout and properties. Ignore using `app.getObjectProperties()` as
+				// this does not return reliable results for master items in server environments.
+				return app.model.engineApp.getDimension({ qId: a.qInfo.qId }).then( function( b ) {
 
-							return dfd.promise;
-						});
-					}).then( function( object ) {
-						var isDrilldown = object.properties.qDim.qGrouping === "H", details, qMeta = object.layout.qMeta;
+					// Report the opened object, so its changes can be watched
+					if (options.watch) {
+						options.watch(b);
+					}
 
-						// Collect dimension details
-						details = {
-							description: {
-								label: translator.get("Common.Description"),
-								value: qMeta.description
-							},
-							type: {
-								label: translator.get("library.preview.header.type").replace(":", ""), // Remove trailing/leading colon
-								value: translator.get(isDrilldown ? "library.preview.dimensiontype.drilldown" : "Common.Single")
-							},
-							label: {
-								label: translator.get("Common.Label"),
-								value: object.properties.qDim.qLabelExpression
-							},
-							definition: {
-								label: translator.get("Common.Fields"),
-								value: object.properties.qDim.qFieldDefs,
-								isCode: true
-							},
-							createdDate: {
-								label: "Created", // Translation?
-								value: qMeta.createdDate ? new Date(qMeta.createdDate).toLocaleString() : null // Not available on QS Desktop
-							},
-							publishedDate: {
-								label: translator.get("App.PublishedDate").replace(":", ""),
-								value: qMeta.published ? new Date(qMeta.publishTime).toLocaleString() : translator.get("Common.No")
-							},
-							approved: {
-								label: "Approved", // Translation?
-								value: qMeta.approved ? translator.get("Common.Yes") : translator.get("Common.No")
-							},
-							modifiedDate: {
-								label: "Modified", // Translation?
-								value: qMeta.modifiedDate ? new Date(qMeta.modifiedDate).toLocaleString() : null // Not available on QS Desktop
-							},
-							owner: {
-								label: "Owner", // translation?
-								value: "string" === typeof qMeta.owner ? qMeta.owner : (qMeta.owner ? "".concat(qMeta.owner.userDirectory, "/", qMeta.owner.userId) : null) // Not available on QS Desktop
-							},
-							tags: {
-								label: translator.get("Common.Tags"),
-								value: (qMeta.tags || [])
-							}
-						};
+					// Layout contains published metadata, properties contain defined settings.
+					// These details will be loaded 'unto' the original object.
+					return $q.all([ b.getLayout(), b.getProperties() ]).then( function() {
+						var dfd = $q.defer();
 
-						// Add item to the list
-						list.push({
-							id: object.layout.qInfo.qId,
-							label: qMeta.title,
-							icon: object.__validation.hasError ? "debug" : (isDrilldown ? "drill-down" : false),
-							details: details,
-							layout: object.layout,
-							properties: object.properties,
-							errors: getErrorsFromExpressionValidation(object.__validation)
-						});
+						// Attach validation result to object
+						if (options.validate) {
+							validateExpressions(app, b.properties.qDim.qFieldDefs).then( function( validation ) {
+								b.__validation = validation;
+								dfd.resolve(b);
+							});
+						} else {
+							b.__validation = getEmptyExpressionValidation();
+							dfd.resolve(b);
+						}
+
+						return dfd.promise;
 					});
+				}).then( function( object ) {
+					var isDrilldown = object.properties.qDim.qGrouping === "H", details, qMeta = object.layout.qMeta;
+
+					// Collect dimension details
+					details = {
+						description: {
+							label: translator.get("Common.Description"),
+							value: qMeta.description
+						},
+						type: {
+							label: translator.get("library.preview.header.type").replace(":", ""), // Remove trailing/leading colon
+							value: translator.get(isDrilldown ? "library.preview.dimensiontype.drilldown" : "Common.Single")
+						},
+						label: {
+							label: translator.get("Common.Label"),
+							value: object.properties.qDim.qLabelExpression
+						},
+						definition: {
+							label: translator.get("Common.Fields"),
+							value: object.properties.qDim.qFieldDefs,
+							isCode: true
+						},
+						createdDate: {
+							label: "Created", // Translation?
+							value: qMeta.createdDate ? new Date(qMeta.createdDate).toLocaleString() : null // Not available on QS Desktop
+						},
+						publishedDate: {
+							label: translator.get("App.PublishedDate").replace(":", ""),
+							value: qMeta.published ? new Date(qMeta.publishTime).toLocaleString() : translator.get("Common.No")
+						},
+						approved: {
+							label: "Approved", // Translation?
+							value: qMeta.approved ? translator.get("Common.Yes") : translator.get("Common.No")
+						},
+						modifiedDate: {
+							label: "Modified", // Translation?
+							value: qMeta.modifiedDate ? new Date(qMeta.modifiedDate).toLocaleString() : null // Not available on QS Desktop
+						},
+						owner: {
+							label: "Owner", // translation?
+							value: "string" === typeof qMeta.owner ? qMeta.owner : (qMeta.owner ? "".concat(qMeta.owner.userDirectory, "/", qMeta.owner.userId) : null) // Not available on QS Desktop
+						},
+						tags: {
+							label: translator.get("Common.Tags"),
+							value: (qMeta.tags || [])
+						}
+					};
+
+					// Return the list item
+					return {
+						id: object.layout.qInfo.qId,
+						label: qMeta.title,
+						icon: object.__validation.hasError ? "debug" : (isDrilldown ? "drill-down" : false),
+						details: details,
+						layout: object.layout,
+						properties: object.properties,
+						errors: getErrorsFromExpressionValidation(object.__validation),
+						expressions: getExpressionsFromValidation(object.__validation)
+					};
 				});
-			}, $q.resolve()).then( function() {
+			}, options).then( function( list ) {
 
 				// Return the full list sorted
 				return list.sort( function( a, b ) {
@@ -704,11 +1113,11 @@ define([
 	 * Load info for master measures
 	 *
 	 * @param {String} appId App identifier
-	 * @param {Object} options Optional. Load options.
+	 * @param {Object} options Optional. Load options, like `validate`, `watch` and the `concurrency` and `batchSize` of `mapConcurrent()`.
 	 * @return {Promise} Loaded info
 	 */
 	getMeasures = async function( appId, options ) {
-		var app = await openApp(appId), list = [];
+		var app = await openApp(appId);
 
 		options = options || {};
 		options.validate = options.validate || false;
@@ -717,89 +1126,92 @@ define([
 		return app.model.enigmaModel.getMeasureList().then( function( items ) {
 
 			// Walk list items
-			return items.reduce( function( promise, a ) {
+			return mapConcurrent(items, function( a ) {
 
 				// Get full measure info
-				return promise.then( function() {
-
-					// Load measure's layout and properties. Ignore using `app.getObjectProperties()` as
-					// this does not return reliable results for master items in server environments.
-					return app.model.engineApp.getMeasure({ qId: a.qInfo.qId }).then( function( b ) {
-
-						// Layout contains published metadata, properties contain defined settings
-						return $q.all([ b.getLayout(), b.getProperties() ]).then( function() {
-							var dfd = $q.defer();
-
-							// Attach validation result to object
-							if (options.validate) {
-								validateExpressions(app, b.properties.qMeasure.qDef).then( function( validation ) {
-									b.__validation = validation;
-									dfd.resolve(b);
-								});
-							} else {
-								b.__validation = getEmptyExpressionValidation();
-								dfd.resolve(b);
-							}
+				// Load measure's layout and properties. Ignore using `app.getObjectProperties()` as
+				// this does not return reliable results for master items in server environments.
+				return app.model.engineApp.getMeasure({ qId: a.qInfo.qId }).then( function( b ) {
 
-							return dfd.promise;
-						});
-					}).then( function( object ) {
-						var details, qMeta = object.layout.qMeta;
+					// Report the opened object, so its changes can be watched
+					if (options.watch) {
+						options.watch(b);
+					}
 
-						// Collect measure details
-						details = {
-							description: {
-								label: translator.get("Common.Description"),
-								value: qMeta.description
-							},
-							label: {
-								label: translator.get("Common.Label"),
-								value: object.properties.qMeasure.qLabelExpression
-							},
-							expression: {
-								label: translator.get("Common.Expression"),
-								value: object.properties.qMeasure.qDef,
-								isCode: true
-							},
-							createdDate: {
-								label: "Created", // Translation?
-								value: qMeta.createdDate ? new Date(qMeta.createdDate).toLocaleString() : null // Not available on QS Desktop
-							},
-							publishedDate: {
-								label: translator.get("App.PublishedDate").replace(":", ""),
-								value: qMeta.published ? new Date(qMeta.publishTime).toLocaleString() : translator.get("Common.No")
-							},
-							approved: {
-								label: "Approved", // Translation?
-								value: qMeta.approved ? translator.get("Common.Yes") : translator.get("Common.No")
-							},
-							modifiedDate: {
-								label: "Modified", // Translation?
-								value: qMeta.modifiedDate ? new Date(qMeta.modifiedDate).toLocaleString() : null // Not available on QS Desktop
-							},
-							owner: {
-								label: "Owner", // translation?
-								value: "string" === typeof qMeta.owner ? qMeta.owner : (qMeta.owner ? "".concat(qMeta.owner.userDirectory, "/", qMeta.owner.userId) : null) // Not available on QS Desktop
-							},
-							tags: {
-								label: translator.get("Common.Tags"),
-								value: (qMeta.tags || [])
-							}
-						};
+					// Layout contains published metadata, properties contain defined settings
+					return $q.all([ b.getLayout(), b.getProperties() ]).then( function() {
+						var dfd = $q.defer();
 
-						// Add item to the list
-						list.push({
-							id: object.layout.qInfo.qId,
-							label: qMeta.title,
-							icon: object.__validation.hasError ? "debug" : "",
-							details: details,
-							layout: object.layout,
-							properties: object.properties,
-							errors: getErrorsFromExpressionValidation(object.__validation)
-						});
+						// Attach validation result to object
+						if (options.validate) {
+							validateExpressions(app, b.properties.qMeasure.qDef).then( function( validation ) {
+								b.__validation = validation;
+								dfd.resolve(b);
+							});
+						} else {
+							b.__validation = getEmptyExpressionValidation();
+							dfd.resolve(b);
+						}
+
+						return dfd.promise;
 					});
+				}).then( function( object ) {
+					var details, qMeta = object.layout.qMeta;
+
+					// Collect measure details
+					details = {
+						description: {
+							label: translator.get("Common.Description"),
+							value: qMeta.description
+						},
+						label: {
+							label: translator.get("Common.Label"),
+							value: object.properties.qMeasure.qLabelExpression
+						},
+						expression: {
+							label: translator.get("Common.Expression"),
+							value: object.properties.qMeasure.qDef,
+							isCode: true
+						},
+						createdDate: {
+							label: "Created", // Translation?
+							value: qMeta.createdDate ? new Date(qMeta.createdDate).toLocaleString() : null // Not available on QS Desktop
+						},
+						publishedDate: {
+							label: translator.get("App.PublishedDate").replace(":", ""),
+							value: qMeta.published ? new Date(qMeta.publishTime).toLocaleString() : translator.get("Common.No")
+						},
+						approved: {
+							label: "Approved", // Translation?
+							value: qMeta.approved ? translator.get("Common.Yes") : translator.get("Common.No")
+						},
+						modifiedDate: {
+							label: "Modified", // Translation?
+							value: qMeta.modifiedDate ? new Date(qMeta.modifiedDate).toLocaleString() : null // Not available on QS Desktop
+						},
+						owner: {
+							label: "Owner", // translation?
+							value: "string" === typeof qMeta.owner ? qMeta.owner : (qMeta.owner ? "".concat(qMeta.owner.userDirectory, "/", qMeta.owner.userId) : null) // Not available on QS Desktop
+						},
+						tags: {
+							label: translator.get("Common.Tags"),
+							value: (qMeta.tags || [])
+						}
+					};
+
+					// Return the list item
+					return {
+						id: object.layout.qInfo.qId,
+						label: qMeta.title,
+						icon: object.__validation.hasError ? "debug" : "",
+						details: details,
+						layout: object.layout,
+						properties: object.properties,
+						errors: getErrorsFromExpressionValidation(object.__validation),
+						expressions: getExpressionsFromValidation(object.__validation)
+					};
 				});
-			}, $q.resolve()).then( function() {
+			}, options).then( function( list ) {
 
 				// Return the full list sorted
 				return list.sort( function( a, b ) {
@@ -816,11 +1228,11 @@ define([
 	 * qlik.currApp().model.engineApp.getObject({qId:"FWwchY"}).then(function(a){a.Invalidated.bind(function(){console.log("Invalidated", arguments)});return a.getLayout().then(function(){return a.getProperties()}).then(function(){return a.getFullPropertyTree()}).then(function(){console.log(a)})}).catch(console.error)
 	 *
 	 * @param {String} appId App identifier
-	 * @param {Object} options Optional. Load options.
+	 * @param {Object} options Optional. Load options, like `validate`, `watch` and the `concurrency` and `batchSize` of `mapConcurrent()`.
 	 * @return {Promise} Loaded info
 	 */
 	getMasterObjects = async function( appId, options ) {
-		var app = await openApp(appId), list = [];
+		var app = await openApp(appId);
 
 		options = options || {};
 		options.validate = options.validate || false;
@@ -829,102 +1241,105 @@ define([
 		return app.model.enigmaModel.getMasterObjectList().then( function( items ) {
 
 			// Walk list items
-			return items.reduce( function( promise, a ) {
+			return mapConcurrent(items, function( a ) {
 
 				// Get full object info
-				return promise.then( function() {
+				// Load object's layout and properties. Ignore using `app.getObjectProperties()` as
+				// this does not return reliable results for master items in server environments.
+				return app.model.engineApp.getObject({ qId: a.qInfo.qId }).then( function( b ) {
 
-					// Load object's layout and properties. Ignore using `app.getObjectProperties()` as
-					// this does not return reliable results for master items in server environments.
-					return app.model.engineApp.getObject({ qId: a.qInfo.qId }).then( function( b ) {
+					// Report the opened object, so its changes can be watched
+					if (options.watch) {
+						options.watch(b);
+					}
 
-						// Layout contains published metadata, properties contain defined settings
-						return $q.all([ b.getLayout(), b.getProperties() ]).then( function() {
+					// Layout contains published metadata, properties contain defined settings
+					return $q.all([ b.getLayout(), b.getProperties() ]).then( function() {
 
-							// Load metadata for the visualization
-							return getExtensions([b.layout.visualization]);
+						// Load metadata for the visualization
+						return getExtensions([b.layout.visualization]);
 
-						}).then( function() {
+					}).then( function() {
 
-							// Fetch property tree to load list of children on the object.
-							// This is mostly relevant for listboxes on a filterpane.
-							if (b.properties.hasOwnProperty("qChildListDef")) {
-								return app.getFullPropertyTree(b.id).then( function( c ) {
-									b.__propertyTree = c.propertyTree;
-									return b;
-								});
-							} else {
+						// Fetch property tree to load list of children on the object.
+						// This is mostly relevant for listboxes on a filterpane.
+						if (b.properties.hasOwnProperty("qChildListDef")) {
+							return app.getFullPropertyTree(b.id).then( function( c ) {
+								b.__propertyTree = c.propertyTree;
 								return b;
-							}
-						});
-					}).then( function( b ) {
-						var dfd = $q.defer();
-
-						// Attach validation result to object
-						if (options.validate) {
-							validateVisualizationExpressions(app, b).then( function( validation ) {
-								b.__validation = validation;
-								dfd.resolve(b);
 							});
 						} else {
-							b.__validation = getEmptyExpressionValidation();
-							dfd.resolve(b);
+							return b;
 						}
+					});
+				}).then( function( b ) {
+					var dfd = $q.defer();
 
-						return dfd.promise;
-					}).then( function( object ) {
-						var qMeta = object.layout.qMeta,
+					// Attach validation result to object
+					if (options.validate) {
+						validateVisualizationExpressions(app, b).then( function( validation ) {
+							b.__validation = validation;
+							dfd.resolve(b);
+						});
+					} else {
+						b.__validation = getEmptyExpressionValidation();
+						dfd.resolve(b);
+					}
 
-						// Collect master object details
-						details = {
-							description: {
-								label: translator.get("Common.Description"),
-								value: qMeta.description
-							},
-							type: {
-								label: "Type", // Translation?
-								value: extensionList.hasOwnProperty(object.properties.visualization) ? extensionList[object.properties.visualization].name : object.properties.visualization
-							},
-							createdDate: {
-								label: "Created", // Translation?
-								value: qMeta.createdDate ? new Date(qMeta.createdDate).toLocaleString() : null // Not available on QS Desktop
-							},
-							publishedDate: {
-								label: translator.get("App.PublishedDate").replace(":", ""),
-								value: qMeta.published ? new Date(qMeta.publishTime).toLocaleString() : translator.get("Common.No")
-							},
-							approved: {
-								label: "Approved", // Translation?
-								value: qMeta.approved ? translator.get("Common.Yes") : translator.get("Common.No")
-							},
-							modifiedDate: {
-								label: "Modified", // Translation?
-								value: qMeta.modifiedDate ? new Date(qMeta.modifiedDate).toLocaleString() : null // Not available on QS Desktop
-							},
-							owner: {
-								label: "Owner", // translation?
-								value: "string" === typeof qMeta.owner ? qMeta.owner : (qMeta.owner ? "".concat(qMeta.owner.userDirectory, "/", qMeta.owner.userId) : null) // Not available on QS Desktop
-							},
-							tags: {
-								label: translator.get("Common.Tags"),
-								value: (qMeta.tags || [])
-							}
-						};
+					return dfd.promise;
+				}).then( function( object ) {
+					var qMeta = object.layout.qMeta,
+
+					// Collect master object details
+					details = {
+						description: {
+							label: translator.get("Common.Description"),
+							value: qMeta.description
+						},
+						type: {
+							label: "Type", // Translation?
+							value: extensionList.hasOwnProperty(object.properties.visualization) ? extensionList[object.properties.visualization].name : object.properties.visualization
+						},
+						createdDate: {
+							label: "Created", // Translation?
+							value: qMeta.createdDate ? new Date(qMeta.createdDate).toLocaleString() : null // Not available on QS Desktop
+						},
+						publishedDate: {
+							label: translator.get("App.PublishedDate").replace(":", ""),
+							value: qMeta.published ? new Date(qMeta.publishTime).toLocaleString() : translator.get("Common.No")
+						},
+						approved: {
+							label: "Approved", // Translation?
+							value: qMeta.approved ? translator.get("Common.Yes") : translator.get("Common.No")
+						},
+						modifiedDate: {
+							label: "Modified", // Translation?
+							value: qMeta.modifiedDate ? new Date(qMeta.modifiedDate).toLocaleString() : null // Not available on QS Desktop
+						},
+						owner: {
+							label: "Owner", // translation?
+							value: "string" === typeof qMeta.owner ? qMeta.owner : (qMeta.owner ? "".concat(qMeta.owner.userDirectory, "/", qMeta.owner.userId) : null) // Not available on QS Desktop
+						},
+						tags: {
+							label: translator.get("Common.Tags"),
+							value: (qMeta.tags || [])
+						}
+					};
 
-						// Add item to the list
-						list.push({
-							id: object.layout.qInfo.qId,
-							label: object.layout.qMeta.title,
-							icon: object.__validation.hasError ? "debug" : "",
-							details: details,
-							layout: object.layout,
-							properties: object.__propertyTree && object.__propertyTree.qProperty || object.properties,
-							children: object.__propertyTree && object.__propertyTree.qChildren,
-							errors: getErrorsFromExpressionValidation(object.__validation)
-						});
-					});
+					// Return the list item
+					return {
+						id: object.layout.qInfo.qId,
+						label: object.layout.qMeta.title,
+						icon: object.__validation.hasError ? "debug" : "",
+						details: details,
+						layout: object.layout,
+						properties: object.__propertyTree && object.__propertyTree.qProperty || object.properties,
+						children: object.__propertyTree && object.__propertyTree.qChildren,
+						errors: getErrorsFromExpressionValidation(object.__validation),
+						expressions: getExpressionsFromValidation(object.__validation)
+					};
 				});
-			}, $q.resolve()).then( function() {
+			}, options).then( function( list ) {
 
 				// Return the full list sorted
 				return list.sort( function( a, b ) {
@@ -962,11 +1377,11 @@ define([
 	 * Load info for variables
 	 *
 	 * @param {String} appId App identifier
-	 * @param {Object} options Optional. Load options.
+	 * @param {Object} options Optional. Load options, like `validate`, `watch` and the `concurrency` and `batchSize` of `mapConcurrent()`.
 	 * @return {Promise} Loaded info
 	 */
 	getVariables = async function( appId, options ) {
-		var app = await openApp(appId), list = [];
+		var app = await openApp(appId);
 
 		options = options || {};
 		options.validate = !! options.validate || false;
@@ -976,72 +1391,75 @@ define([
 		return app.model.enigmaModel.getVariableList().then( function( items ) {
 
 			// Walk list items
-			return items.reduce( function( promise, a ) {
+			return mapConcurrent(items, function( a ) {
 
 				// Get full object info
-				return promise.then( function() {
-
-					// Load object's layout and properties. Ignore using `app.getObjectProperties()`
-					// as this does not return reliable results for variables in server environments.
-					return app.model.engineApp.getVariableById(a.qInfo.qId).then( function( b ) {
-
-						// Layout contains published metadata, properties contain defined settings
-						return $q.all([ b.getLayout(), b.getProperties() ]).then( function() {
-							var dfd = $q.defer();
-
-							// Attach validation result to object
-							if (options.validate){
-								validateExpressions(app, b.properties.qDefinition).then( function( validation ) {
-									b.__validation = validation;
-									dfd.resolve(b);
-								});
-							} else {
-								b.__validation = getEmptyExpressionValidation();
-								dfd.resolve(b);
-							}
+				// Load object's layout and properties. Ignore using `app.getObjectProperties()`
+				// as this does not return reliable results for variables in server environments.
+				return app.model.engineApp.getVariableById(a.qInfo.qId).then( function( b ) {
 
-							return dfd.promise;
-						});
-					}).then( function( object ) {
+					// Report the opened object, so its changes can be watched
+					if (options.watch) {
+						options.watch(b);
+					}
 
-						// Collect variable details
-						var details = {
-							description: {
-								label: translator.get("Common.Description"),
-								value: object.properties.qComment
-							},
-							definition: {
-								label: translator.get("Variable.Definition"),
-								value: object.properties.qDefinition,
-								isCode: true
-							},
-							createdDate: {
-								label: "Created", // Translation?
-								value: object.layout.qMeta.createdDate ? new Date(object.layout.qMeta.createdDate).toLocaleString() : null // Not available on QS Desktop
-							},
-							modifiedDate: {
-								label: "Modified", // Translation?
-								value: object.layout.qMeta.modifiedDate ? new Date(object.layout.qMeta.modifiedDate).toLocaleString() : null // Not available on QS Desktop
-							},
-							tags: {
-								label: translator.get("Common.Tags"),
-								value: (a.qData.tags || []) // Tags are not available on either the layout or properties
-							}
-						};
+					// Layout contains published metadata, properties contain defined settings
+					return $q.all([ b.getLayout(), b.getProperties() ]).then( function() {
+						var dfd = $q.defer();
 
-						// Add item to the list
-						list.push({
-							id: object.layout.qInfo.qId,
-							label: object.properties.qName,
-							icon: object.__validation.hasError ? "debug" : (object.properties.qIsScriptCreated ? "script" : ""),
-							details: details,
-							layout: a, // Not the actual layout, but layout does not contain `qName` and `qIsReserved`
-							properties: object.properties,
-							errors: getErrorsFromExpressionValidation(object.__validation)
-						});
+						// Attach validation result to object
+						if (options.validate){
+							validateExpressions(app, b.properties.qDefinition).then( function( validation ) {
+								b.__validation = validation;
+								dfd.resolve(b);
+							});
+						} else {
+							b.__validation = getEmptyExpressionValidation();
+							dfd.resolve(b);
+						}
+
+						return dfd.promise;
 					});
+				}).then( function( object ) {
+
+					// Collect variable details
+					var details = {
+						description: {
+							label: translator.get("Common.Description"),
+							value: object.properties.qComment
+						},
+						definition: {
+							label: translator.get("Variable.Definition"),
+							value: object.properties.qDefinition,
+							isCode: true
+						},
+						createdDate: {
+							label: "Created", // Translation?
+							value: object.layout.qMeta.createdDate ? new Date(object.layout.qMeta.createdDate).toLocaleString() : null // Not available on QS Desktop
+						},
+						modifiedDate: {
+							label: "Modified", // Translation?
+							value: object.layout.qMeta.modifiedDate ? new Date(object.layout.qMeta.modifiedDate).toLocaleString() : null // Not available on QS Desktop
+						},
+						tags: {
+							label: translator.get("Common.Tags"),
+							value: (a.qData.tags || []) // Tags are not available on either the layout or properties
+						}
+					};
+
+					// Return the list item
+					return {
+						id: object.layout.qInfo.qId,
+						label: object.properties.qName,
+						icon: object.__validation.hasError ? "debug" : (object.properties.qIsScriptCreated ? "script" : ""),
+						details: details,
+						layout: a, // Not the actual layout, but layout does not contain `qName` and `qIsReserved`
+						properties: object.properties,
+						errors: getErrorsFromExpressionValidation(object.__validation),
+						expressions: getExpressionsFromValidation(object.__validation)
+					};
 				});
-			}, $q.resolve()).then( function() {
+			}, options).then( function( list ) {
 
 				// Filter for reserved variables
 				return list.filter( function( a ) {
@@ -1058,11 +1476,11 @@ define([
 	 * Load info for bookmarks
 	 *
 	 * @param {String} appId App identifier
-	 * @param {Object} options Optional. Load options.
+	 * @param {Object} options Optional. Load options, like `validate`, `watch` and the `concurrency` and `batchSize` of `mapConcurrent()`.
 	 * @return {Promise} Loaded info
 	 */
 	getBookmarks = async function( appId, options ) {
-		var app = await openApp(appId), list = [];
+		var app = await openApp(appId);
 
 		options = options || {};
 		options.validate = options.validate || false;
@@ -1074,135 +1492,137 @@ define([
 		}).then( function( args ) {
 
 			// Walk list items
-			return args.items.reduce( function( promise, a ) {
+			return mapConcurrent(args.items, function( a ) {
 
 				// Get full object info
-				return promise.then( function() {
+				// Load object's layout and properties. Ignore using `app.getObjectProperties()` as
+				// this does not return reliable results for bookmarks in server environments.
+				return app.model.engineApp.getBookmark(a.qInfo.qId).then( function( b ) {
 
-					// Load object's layout and properties. Ignore using `app.getObjectProperties()` as
-					// this does not return reliable results for bookmarks in server environments.
-					return app.model.engineApp.getBookmark(a.qInfo.qId).then( function( b ) {
+					// Report the opened object, so its changes can be watched
+					if (options.watch) {
+						options.watch(b);
+					}
 
-						// Layout contains published metadata, properties contain defined settings
-						return $q.all([ b.getLayout(), b.getProperties() ]).then( function() {
+					// Layout contains published metadata, properties contain defined settings
+					return $q.all([ b.getLayout(), b.getProperties() ]).then( function() {
 
-							// Get set analysis definition of the bookmark
-							var getSetAnalysis = {};
+						// Get set analysis definition of the bookmark
+						var getSetAnalysis = {};
 
-							// Walk each applied state
-							a.qData.qBookmark.qStateData.forEach( function( qStateData ) {
+						// Walk each applied state
+						a.qData.qBookmark.qStateData.forEach( function( qStateData ) {
 
-								// Get the state's set analysis for the bookmark
-								getSetAnalysis[qStateData.qStateName] = app.model.engineApp.getSetAnalysis(qStateData.qStateName, a.qInfo.qId);
-							});
+							// Get the state's set analysis for the bookmark
+							getSetAnalysis[qStateData.qStateName] = app.model.engineApp.getSetAnalysis(qStateData.qStateName, a.qInfo.qId);
+						});
 
-							return $q.all(getSetAnalysis).then( function( setAnalysis ) {
-								return {
-									object: b,
-									setExpression: setAnalysis
-								};
-							});
+						return $q.all(getSetAnalysis).then( function( setAnalysis ) {
+							return {
+								object: b,
+								setExpression: setAnalysis
+							};
 						});
-					}).then( function( bookmark ) {
-						var setExpression = [], errors = [], i, details, qBookmark = bookmark.object.layout.qBookmark, qMeta = bookmark.object.layout.qMeta;
+					});
+				}).then( function( bookmark ) {
+					var setExpression = [], errors = [], i, details, qBookmark = bookmark.object.layout.qBookmark, qMeta = bookmark.object.layout.qMeta;
 
-						// Get set analysis expressions of the bookmark
-						for (i in bookmark.setExpression) {
-							if (bookmark.setExpression.hasOwnProperty(i) && bookmark.setExpression[i].qSetExpression.length) {
+					// Get set analysis expressions of the bookmark
+					for (i in bookmark.setExpression) {
+						if (bookmark.setExpression.hasOwnProperty(i) && bookmark.setExpression[i].qSetExpression.length) {
 
-								// Setup human readable format
-								setExpression.push(("$" === i ? translator.get("AlternateState.DefaultState") : i).concat(": ", bookmark.setExpression[i].qSetExpression));
-							}
+							// Setup human readable format
+							setExpression.push(("$" === i ? translator.get("AlternateState.DefaultState") : i).concat(": ", bookmark.setExpression[i].qSetExpression));
 						}
+					}
 
-						// Collect bookmark details
-						details = {
-							description: {
-								label: translator.get("Common.Description"),
-								value: qMeta.description
-							},
-							setExpression: {
-								label: translator.get("Bookmarks.SetExpression"),
-								value: setExpression.sort( function( a, b ) {
-									return a.localeCompare(b);
-								})
-							},
-							fields: {
-								label: translator.get("Common.Fields"),
-								value: _.uniq(bookmark.object.layout.qFieldInfos.map( function( a ) {
-									return a.qFieldName;
-								}))
-							},
-							createdDate: {
-								label: "Created", // Translation?
-								value: qMeta.createdDate ? new Date(qMeta.createdDate).toLocaleString() : null // Not available on QS Desktop
-							},
-							publishedDate: {
-								label: translator.get("App.PublishedDate").replace(":", ""),
-								value: qMeta.published ? new Date(qMeta.publishTime).toLocaleString() : translator.get("Common.No")
-							},
-							approved: {
-								label: "Approved", // Translation?
-								value: qMeta.approved ? translator.get("Common.Yes") : translator.get("Common.No")
-							},
-							modifiedDate: {
-								label: "Modified", // Translation?
-								value: qMeta.modifiedDate ? new Date(qMeta.modifiedDate).toLocaleString() : null // Not available on QS Desktop
-							},
-							owner: {
-								label: "Owner", // translation?
-								value: "string" === typeof qMeta.owner ? qMeta.owner : (qMeta.owner ? "".concat(qMeta.owner.userDirectory, "/", qMeta.owner.userId) : null) // Not available on QS Desktop
-							},
-							sheet: {
-								label: translator.get("Common.Sheet"),
-								value: bookmark.object.properties.sheetId ? args.sheets.filter( function( b ) {
-									return bookmark.object.properties.sheetId === b.id;
-								}).map( function( b ) {
-									return b.label;
-								}) : null
-							},
-							hasPatches: {
-								label: "Saved layout",
-								value: qBookmark.qPatches.length ? translator.get("Common.Yes") : null
-							}
-						};
-
-						// Collect errors from missing fields
-						if (options.validate) {
-							errors = _.flatten(qBookmark.qStateData.filter( function( a ) {
-								return !! a.qFieldItems.filter( function( b ) {
-									return "NOT_PRESENT" === b.qDef.qType;
-								}).length;
-							}).map( function( a ) {
-								return a.qFieldItems.filter( function( b ) {
-									return "NOT_PRESENT" === b.qDef.qType;
-								}).map( function( b ) {
-									var message = "Expression contains invalid field name `".concat(b.qDef.qName, "`");
-
-									// Consider state when multiple states are active
-									if (qBookmark.qStateData.length > 1) {
-										message = message.concat(" in state ", "$" === a.qStateName ? translator.get("AlternateState.DefaultState") : a.qStateName);
-									}
-									
-									return message;
-								});
-							}));
+					// Collect bookmark details
+					details = {
+						description: {
+							label: translator.get("Common.Description"),
+							value: qMeta.description
+						},
+						setExpression: {
+							label: translator.get("Bookmarks.SetExpression"),
+							value: setExpression.sort( function( a, b ) {
+								return a.localeCompare(b);
+							})
+						},
+						fields: {
+							label: translator.get("Common.Fields"),
+							value: _.uniq(bookmark.object.layout.qFieldInfos.map( function( a ) {
+								return a.qFieldName;
+							}))
+						},
+						createdDate: {
+							label: "Created", // Translation?
+							value: qMeta.createdDate ? new Date(qMeta.createdDate).toLocaleString() : null // Not available on QS Desktop
+						},
+						publishedDate: {
+							label: translator.get("App.PublishedDate").replace(":", ""),
+							value: qMeta.published ? new Date(qMeta.publishTime).toLocaleString() : translator.get("Common.No")
+						},
+						approved: {
+							label: "Approved", // Translation?
+							value: qMeta.approved ? translator.get("Common.Yes") : translator.get("Common.No")
+						},
+						modifiedDate: {
+							label: "Modified", // Translation?
+							value: qMeta.modifiedDate ? new Date(qMeta.modifiedDate).toLocaleString() : null // Not available on QS Desktop
+						},
+						owner: {
+							label: "Owner", // translation?
+							value: "string" === typeof qMeta.owner ? qMeta.owner : (qMeta.owner ? "".concat(qMeta.owner.userDirectory, "/", qMeta.owner.userId) : null) // Not available on QS Desktop
+						},
+						sheet: {
+							label: translator.get("Common.Sheet"),
+							value: bookmark.object.properties.sheetId ? args.sheets.filter( function( b ) {
+								return bookmark.object.properties.sheetId === b.id;
+							}).map( function( b ) {
+								return b.label;
+							}) : null
+						},
+						hasPatches: {
+							label: "Saved layout",
+							value: qBookmark.qPatches.length ? translator.get("Common.Yes") : null
 						}
+					};
 
-						// Add object data to list
-						list.push({
-							id: bookmark.object.layout.qInfo.qId,
-							label: qMeta.title,
-							icon: errors.length ? "debug" : "",
-							details: details,
-							setExpression: bookmark.setExpression,
-							layout: bookmark.object.layout,
-							properties: bookmark.object.properties,
-							errors: errors
-						});
-					});
+					// Collect errors from missing fields
+					if (options.validate) {
+						errors = _.flatten(qBookmark.qStateData.filter( function( a ) {
+							return !! a.qFieldItems.filter( function( b ) {
+								return "NOT_PRESENT" === b.qDef.qType;
+							}).length;
+						}).map( function( a ) {
+							return a.qFieldItems.filter( function( b ) {
+								return "NOT_PRESENT" === b.qDef.qType;
+							}).map( function( b ) {
+								var message = "Expression contains invalid field name `".concat(b.qDef.qName, "`");
+
+								// Consider state when multiple states are active
+								if (qBookmark.qStateData.length > 1) {
+									message = message.concat(" in state ", "$" === a.qStateName ? translator.get("AlternateState.DefaultState") : a.qStateName);
+								}
+								
+								return message;
+							});
+						}));
+					}
+
+					// Return the list item
+					return {
+						id: bookmark.object.layout.qInfo.qId,
+						label: qMeta.title,
+						icon: errors.length ? "debug" : "",
+						details: details,
+						setExpression: bookmark.setExpression,
+						layout: bookmark.object.layout,
+						properties: bookmark.object.properties,
+						errors: errors
+					};
 				});
-			}, $q.resolve()).then( function() {
+			}, options).then( function( list ) {
 
 				// Return the full list sorted
 				return list.sort( function( a, b ) {
@@ -1291,15 +1711,21 @@ define([
 	};
 
 	return {
+		apps: getApps,
+		closeApp: closeApp,
 		extensions: getExtensions,
 		script: getScript,
 		sheets: getSheets,
+		sheetObject: getSheetObjectDetails,
 		dimensions: getDimensions,
 		measures: getMeasures,
 		masterObjects: getMasterObjects,
 		alternateStates: getAlternateStates,
 		variables: getVariables,
+		variableDefinitions: getVariableDefinitions,
 		bookmarks: getBookmarks,
+		watch: watchObject,
+		engineObjects: getEngineObjects,
 		getDataDefinition: getDataDefinition,
 		getChildrenDataDefinition: getChildrenDataDefinition
 	};
@@ -0,0 +1,76 @@
+/**
+ * E-mergo App Inspector batch functions
+ *
+ * @package E-mergo Tools Bundle
+ *
+ * @param  {Object} _                   Underscore
+ * @param  {Object} $q                  Angular's Q promise library
+ * @return {Object}                     Batch API
+ */
+define([
+	"underscore",
+	"ng!$q"
+], function( _, $q ) {
+
+	/**
+	 * Run a task for each item in sequence
+	 *
+	 * A failing task does not abort the run, its error is reported in the item's
+	 * result instead. When the run is cancelled, the running task is finished and
+	 * the remaining items are skipped.
+	 *
+	 * @param  {Array}    items              Items to run the task for
+	 * @param  {Function} task               Task that receives the item and returns a promise
+	 * @param  {Object}   options            Optional. Run options
+	 * @param  {Function} options.onProgress Optional. Called with the item's result, its index and the total
+	 * @return {Object} Run with `promise`, resolving with the results, and `cancel()`
+	 */
+	var runBatch = function( items, task, options ) {
+		var results = [], isCancelled = false, promise;
+
+		options = options || {};
+
+		promise = items.reduce( function( previous, item, index ) {
+			return previous.then( function() {
+				var result = { item: item, status: "running" };
+
+				if (isCancelled) {
+					return;
+				}
+
+				results.push(result);
+
+				return $q.resolve().then( function() {
+					return task(item);
+				}).then( function( data ) {
+					result.status = "done";
+					result.data = data;
+				}).catch( function( error ) {
+					result.status = "failed";
+					result.error = error && error.message || String(error);
+				}).then( function() {
+					if (options.onProgress) {
+						options.onProgress(result, index, items.length);
+					}
+				});
+			});
+		}, $q.resolve()).then( function() {
+			return {
+				results: results,
+				isCancelled: isCancelled,
+				failed: _.where(results, { status: "failed" }).length
+			};
+		});
+
+		return {
+			promise: promise,
+			cancel: function() {
+				isCancelled = true;
+			}
+		};
+	};
+
+	return {
+		run: runBatch
+	};
+});
@@ -0,0 +1,337 @@
+/**
+ * E-mergo App Inspector data model diagram functions
+ *
+ * @package E-mergo Tools Bundle
+ *
+ * @param  {Object} _                   Underscore
+ * @return {Object}                     Diagram API
+ */
+define([
+	"underscore"
+], function( _ ) {
+
+	/**
+	 * Holds the dimensions of the diagram parts in pixels
+	 *
+	 * @type {Object}
+	 */
+	var SIZE = {
+		tableWidth: 180,
+		headerHeight: 24,
+		fieldHeight: 18,
+		gapX: 80,
+		gapY: 40,
+		padding: 20,
+		labelHeight: 30
+	},
+
+	/**
+	 * Holds the maximum number of non-key fields that are shown per table
+	 *
+	 * @type {Number}
+	 */
+	MAX_FIELDS = 12,
+
+	/**
+	 * Holds the styles of the exported diagram
+	 *
+	 * @type {String}
+	 */
+	SVG_STYLE = [
+		"text { font-family: 'Source Sans Pro', Arial, sans-serif; font-size: 12px; fill: #404040; }",
+		".table-box { fill: #fff; stroke: #b3b3b3; }",
+		".table-header { fill: #e6e6e6; }",
+		".table-name { font-weight: 700; }",
+		".synthetic .table-box { stroke: #dc423f; }",
+		".synthetic .table-header { fill: #f8d7d6; }",
+		".island .table-header { fill: #f2f2f2; }",
+		".field-key { font-weight: 700; }",
+		".field-more { font-style: italic; fill: #808080; }",
+		".key-link { fill: none; stroke: #3f8ab3; stroke-width: 1.5; }",
+		".synthetic-link { stroke: #dc423f; stroke-dasharray: 4 2; }",
+		".diagram-label { font-size: 14px; font-weight: 700; }"
+	].join("\n"),
+
+	/**
+	 * Return whether the field is a key field
+	 *
+	 * @param  {Object} field Data model field
+	 * @return {Boolean} Is key
+	 */
+	isKeyField = function( field ) {
+		return !! field.qKeyType && "NOT_KEY" !== field.qKeyType;
+	},
+
+	/**
+	 * Return the table names ordered by their connections
+	 *
+	 * Starts with the table that has the most keys and walks the linked tables
+	 * breadth-first, so that linked tables are placed close to each other.
+	 *
+	 * @param  {Array} tables Data model tables
+	 * @param  {Array} keys   Data model keys
+	 * @return {Array} Table names
+	 */
+	getTableOrder = function( tables, keys ) {
+		var neighbours = {}, order = [], queue, name;
+
+		tables.forEach( function( a ) {
+			neighbours[a.qName] = [];
+		});
+
+		keys.forEach( function( key ) {
+			key.qTables.forEach( function( a ) {
+				if (neighbours.hasOwnProperty(a)) {
+					neighbours[a] = _.union(neighbours[a], _.without(key.qTables, a));
+				}
+			});
+		});
+
+		_.sortBy(tables, function( a ) {
+			return -neighbours[a.qName].length;
+		}).forEach( function( table ) {
+			if (-1 !== order.indexOf(table.qName)) {
+				return;
+			}
+
+			queue = [table.qName];
+
+			while (queue.length) {
+				name = queue.shift();
+
+				if (-1 === order.indexOf(name) && neighbours.hasOwnProperty(name)) {
+					order.push(name);
+					queue.push.apply(queue, neighbours[name]);
+				}
+			}
+		});
+
+		return order;
+	},
+
+	/**
+	 * Return the diagram box of a table
+	 *
+	 * Key fields are listed first and are always shown. Other fields are shown up
+	 * to a maximum, after which the remaining number of fields is mentioned.
+	 *
+	 * @param  {Object}  table    Data model table
+	 * @param  {Boolean} isIsland Whether the table is a data island
+	 * @return {Object} Table box
+	 */
+	getTableBox = function( table, isIsland ) {
+		var keyFields = table.qFields.filter(isKeyField),
+		    otherFields = table.qFields.filter( function( a ) { return ! isKeyField(a); }),
+		    shown = otherFields.slice(0, Math.max(0, MAX_FIELDS - keyFields.length)),
+		    rows;
+
+		rows = keyFields.map( function( a ) {
+			return { name: a.qName, isKey: true };
+		}).concat(shown.map( function( a ) {
+			return { name: a.qName, isKey: false };
+		}));
+
+		if (otherFields.length > shown.length) {
+			rows.push({ name: "+ ".concat(otherFields.length - shown.length, " more"), isMore: true }); // Translation?
+		}
+
+		rows.forEach( function( a, ix ) {
+			a.y = SIZE.headerHeight + (ix + .5) * SIZE.fieldHeight;
+		});
+
+		return {
+			name: table.qName,
+			rowCount: table.qNoOfRows,
+			width: SIZE.tableWidth,
+			height: SIZE.headerHeight + rows.length * SIZE.fieldHeight,
+			rows: rows,
+			isSynthetic: !! table.qIsSynthetic,
+			isIsland: isIsland
+		};
+	},
+
+	/**
+	 * Position table boxes in a grid
+	 *
+	 * @param  {Array}  boxes   Table boxes
+	 * @param  {Number} columns Number of columns
+	 * @param  {Number} top     Top position of the grid
+	 * @return {Number} Bottom position of the grid
+	 */
+	placeInGrid = function( boxes, columns, top ) {
+		var y = top, row, i;
+
+		for (i = 0; i < boxes.length; i += columns) {
+			row = boxes.slice(i, i + columns);
+
+			row.forEach( function( box, ix ) {
+				box.x = SIZE.padding + ix * (SIZE.tableWidth + SIZE.gapX);
+				box.y = y;
+			});
+
+			y += _.max(_.pluck(row, "height")) + SIZE.gapY;
+		}
+
+		return y;
+	},
+
+	/**
+	 * Return the path of a link between two field rows
+	 *
+	 * @param  {Object} from   Table box
+	 * @param  {Object} fromRow Field row
+	 * @param  {Object} to     Table box
+	 * @param  {Object} toRow  Field row
+	 * @return {String} SVG path definition
+	 */
+	getLinkPath = function( from, fromRow, to, toRow ) {
+		var y1 = from.y + (fromRow ? fromRow.y : SIZE.headerHeight / 2),
+		    y2 = to.y + (toRow ? toRow.y : SIZE.headerHeight / 2),
+		    x1, x2, dx1, dx2;
+
+		// Link the facing sides, or the right sides when in the same column
+		if (from.x + from.width < to.x) {
+			x1 = from.x + from.width; dx1 = SIZE.gapX / 2;
+			x2 = to.x; dx2 = -SIZE.gapX / 2;
+		} else if (to.x + to.width < from.x) {
+			x1 = from.x; dx1 = -SIZE.gapX / 2;
+			x2 = to.x + to.width; dx2 = SIZE.gapX / 2;
+		} else {
+			x1 = from.x + from.width; dx1 = SIZE.gapX / 2;
+			x2 = to.x + to.width; dx2 = SIZE.gapX / 2;
+		}
+
+		return "M".concat(x1, " ", y1, " C", x1 + dx1, " ", y1, " ", x2 + dx2, " ", y2, " ", x2, " ", y2);
+	},
+
+	/**
+	 * Return the diagram layout of a data model
+	 *
+	 * Linked tables are placed in a grid, data islands are set apart below them.
+	 * Keys are linked from the first table holding the key to the other tables.
+	 *
+	 * @param  {Object} model Data model from `getTablesAndKeys()`
+	 * @return {Object} Layout with `width`, `height`, `tables`, `links` and `islandsY`
+	 */
+	getLayout = function( model ) {
+		var tables = model.qtr || [], keys = model.qk || [], boxes = {}, all = [], linked, islands, columns, y, islandsY = null, links = [];
+
+		islands = tables.filter( function( a ) {
+			return ! _.find(a.qFields, isKeyField);
+		});
+
+		linked = _.difference(tables, islands);
+
+		getTableOrder(linked, keys).forEach( function( name ) {
+			all.push(getTableBox(_.findWhere(linked, { qName: name }), false));
+		});
+
+		islands.forEach( function( a ) {
+			all.push(getTableBox(a, true));
+		});
+
+		all.forEach( function( a ) {
+			boxes[a.name] = a;
+		});
+
+		columns = Math.max(1, Math.ceil(Math.sqrt(tables.length)));
+		y = placeInGrid(_.reject(all, function( a ) { return a.isIsland; }), columns, SIZE.padding);
+
+		// Set data islands apart
+		if (islands.length) {
+			islandsY = linked.length ? y : SIZE.padding;
+			y = placeInGrid(_.filter(all, function( a ) { return a.isIsland; }), columns, islandsY + SIZE.labelHeight);
+		}
+
+		// Link key fields
+		keys.forEach( function( key ) {
+			var first = boxes[key.qTables[0]];
+
+			key.qKeyFields.forEach( function( field ) {
+				key.qTables.slice(1).forEach( function( name ) {
+					var to = boxes[name];
+
+					if (first && to) {
+						links.push({
+							field: field,
+							from: first.name,
+							to: to.name,
+							isSynthetic: first.isSynthetic || to.isSynthetic,
+							path: getLinkPath(first, _.findWhere(first.rows, { name: field }), to, _.findWhere(to.rows, { name: field }))
+						});
+					}
+				});
+			});
+		});
+
+		return {
+			width: all.length ? _.max(all.map( function( a ) { return a.x + a.width; })) + SIZE.padding : 0,
+			height: Math.max(y - SIZE.gapY + SIZE.padding, 0),
+			tables: all,
+			links: links,
+			islandsY: islandsY,
+			labelHeight: SIZE.labelHeight,
+			headerHeight: SIZE.headerHeight,
+			fieldHeight: SIZE.fieldHeight
+		};
+	},
+
+	/**
+	 * Return the text escaped for XML
+	 *
+	 * @param  {String} text Text
+	 * @return {String} Escaped text
+	 */
+	escapeXml = function( text ) {
+		return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+	},
+
+	/**
+	 * Return the standalone SVG document of a diagram layout
+	 *
+	 * @param  {Object} layout Diagram layout
+	 * @param  {String} title  Optional. Diagram title
+	 * @return {String} SVG document
+	 */
+	getSvg = function( layout, title ) {
+		var parts = [];
+
+		parts.push("<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"".concat(layout.width, "\" height=\"", layout.height, "\" viewBox=\"0 0 ", layout.width, " ", layout.height, "\">"));
+
+		if (title) {
+			parts.push("<title>".concat(escapeXml(title), "</title>"));
+		}
+
+		parts.push("<style>".concat(SVG_STYLE, "</style>"));
+
+		layout.links.forEach( function( a ) {
+			parts.push("<path class=\"key-link".concat(a.isSynthetic ? " synthetic-link" : "", "\" d=\"", a.path, "\"><title>", escapeXml(a.field), "</title></path>"));
+		});
+
+		if (null !== layout.islandsY) {
+			parts.push("<text class=\"diagram-label\" x=\"".concat(SIZE.padding, "\" y=\"", layout.islandsY + SIZE.labelHeight / 2, "\">Data islands</text>"));
+		}
+
+		layout.tables.forEach( function( a ) {
+			parts.push("<g class=\"table".concat(a.isSynthetic ? " synthetic" : "", a.isIsland ? " island" : "", "\" transform=\"translate(", a.x, ",", a.y, ")\">"));
+			parts.push("<rect class=\"table-box\" width=\"".concat(a.width, "\" height=\"", a.height, "\"/>"));
+			parts.push("<rect class=\"table-header\" x=\"1\" y=\"1\" width=\"".concat(a.width - 2, "\" height=\"", SIZE.headerHeight - 1, "\"/>"));
+			parts.push("<text class=\"table-name\" x=\"6\" y=\"".concat(SIZE.headerHeight - 8, "\">", escapeXml(a.name), "</text>"));
+
+			a.rows.forEach( function( b ) {
+				parts.push("<text class=\"".concat(b.isKey ? "field-key" : (b.isMore ? "field-more" : "field"), "\" x=\"6\" y=\"", b.y + 4, "\">", escapeXml(b.name), "</text>"));
+			});
+
+			parts.push("</g>");
+		});
+
+		parts.push("</svg>");
+
+		return parts.join("\n");
+	};
+
+	return {
+		layout: getLayout,
+		svg: getSvg
+	};
+});
@@ -0,0 +1,340 @@
+/**
+ * E-mergo App Inspector diff functions
+ *
+ * @package E-mergo Tools Bundle
+ *
+ * @param  {Object} _                   Underscore
+ * @return {Object}                     Diff API
+ */
+define([
+	"underscore"
+], function( _ ) {
+
+	/**
+	 * Holds the maximum size of the line matrix for diffing lines
+	 *
+	 * Beyond this size the changed block is reported as fully replaced.
+	 *
+	 * @type {Number}
+	 */
+	var MAX_LINE_MATRIX = 4000000,
+
+	/**
+	 * Holds the amount of unchanged lines to show around changed lines
+	 *
+	 * @type {Number}
+	 */
+	LINE_CONTEXT = 3,
+
+	/**
+	 * Return the type of a value for diffing
+	 *
+	 * @param  {Mixed} value Value
+	 * @return {String} Value type
+	 */
+	getValueType = function( value ) {
+		return Array.isArray(value) ? "array" : (null === value ? "null" : typeof value);
+	},
+
+	/**
+	 * Return the property-level differences between two values
+	 *
+	 * @param  {Mixed}  a    Base value
+	 * @param  {Mixed}  b    Other value
+	 * @param  {String} path Optional. Path of the compared values
+	 * @return {Array} Changes with `type`, `path`, `from` and `to`
+	 */
+	diffObjects = function( a, b, path ) {
+		var changes = [], typeA = getValueType(a), typeB = getValueType(b), keys;
+
+		path = path || "";
+
+		// Compare objects and arrays by their keys
+		if (typeA === typeB && ("object" === typeA || "array" === typeA)) {
+			keys = "array" === typeA
+				? _.range(Math.max(a.length, b.length))
+				: _.union(_.keys(a), _.keys(b)).sort();
+
+			keys.forEach( function( key ) {
+				var keyPath = path.length ? path.concat(".", key) : String(key);
+
+				if (! _.has(b, key)) {
+					changes.push({ type: "removed", path: keyPath, from: a[key] });
+				} else if (! _.has(a, key)) {
+					changes.push({ type: "added", path: keyPath, to: b[key] });
+				} else {
+					changes.push.apply(changes, diffObjects(a[key], b[key], keyPath));
+				}
+			});
+
+		// Compare values
+		} else if (! _.isEqual(a, b)) {
+			changes.push({ type: "changed", path: path, from: a, to: b });
+		}
+
+		return changes;
+	},
+
+	/**
+	 * Return the line-level differences between two texts
+	 *
+	 * Uses the longest common subsequence of the lines in between the
+	 * common leading and trailing lines.
+	 *
+	 * @param  {String} a Base text
+	 * @param  {String} b Other text
+	 * @return {Array} Lines with `type`, `line`, `from` and `to` line numbers
+	 */
+	diffLines = function( a, b ) {
+		var linesA = (a || "").split(/\r?\n/), linesB = (b || "").split(/\r?\n/), start = 0, endA = linesA.length, endB = linesB.length,
+		    n, m, matrix, i, j, middle = [], result = [];
+
+		// Skip common leading lines
+		while (start < endA && start < endB && linesA[start] === linesB[start]) {
+			start++;
+		}
+
+		// Skip common trailing lines
+		while (endA > start && endB > start && linesA[endA - 1] === linesB[endB - 1]) {
+			endA--;
+			endB--;
+		}
+
+		n = endA - start;
+		m = endB - start;
+
+		// Setup the matrix of common subsequence lengths
+		if (n && m && (n + 1) * (m + 1) <= MAX_LINE_MATRIX) {
+			matrix = new Uint32Array((n + 1) * (m + 1));
+
+			for (i = n - 1; i >= 0; i--) {
+				for (j = m - 1; j >= 0; j--) {
+					matrix[i * (m + 1) + j] = linesA[start + i] === linesB[start + j]
+						? matrix[(i + 1) * (m + 1) + j + 1] + 1
+						: Math.max(matrix[(i + 1) * (m + 1) + j], matrix[i * (m + 1) + j + 1]);
+				}
+			}
+
+			// Walk the matrix
+			i = 0;
+			j = 0;
+			while (i < n && j < m) {
+				if (linesA[start + i] === linesB[start + j]) {
+					middle.push({ type: "equal", line: linesA[start + i], from: start + i + 1, to: start + j + 1 });
+					i++;
+					j++;
+				} else if (matrix[(i + 1) * (m + 1) + j] >= matrix[i * (m + 1) + j + 1]) {
+					middle.push({ type: "removed", line: linesA[start + i], from: start + i + 1, to: null });
+					i++;
+				} else {
+					middle.push({ type: "added", line: linesB[start + j], from: null, to: start + j + 1 });
+					j++;
+				}
+			}
+		} else {
+			i = 0;
+			j = 0;
+		}
+
+		// Remaining lines are removed or added
+		for (; i < n; i++) {
+			middle.push({ type: "removed", line: linesA[start + i], from: start + i + 1, to: null });
+		}
+		for (; j < m; j++) {
+			middle.push({ type: "added", line: linesB[start + j], from: null, to: start + j + 1 });
+		}
+
+		// Common leading lines
+		for (i = 0; i < start; i++) {
+			result.push({ type: "equal", line: linesA[i], from: i + 1, to: i + 1 });
+		}
+
+		result.push.apply(result, middle);
+
+		// Common trailing lines
+		for (i = 0; i < linesA.length - endA; i++) {
+			result.push({ type: "equal", line: linesA[endA + i], from: endA + i + 1, to: endB + i + 1 });
+		}
+
+		return result;
+	},
+
+	/**
+	 * Return whether the line diff contains changes
+	 *
+	 * @param  {Array} lines Line diff
+	 * @return {Boolean} Has changes
+	 */
+	hasLineChanges = function( lines ) {
+		return !! _.find(lines, function( a ) {
+			return "equal" !== a.type;
+		});
+	},
+
+	/**
+	 * Return a printable value for a property change
+	 *
+	 * @param  {Mixed} value Value
+	 * @return {String} Printable value
+	 */
+	formatValue = function( value ) {
+		var text = "undefined" === typeof value ? "undefined" : JSON.stringify(value);
+
+		return text.length > 200 ? text.substr(0, 200).concat("...") : text;
+	},
+
+	/**
+	 * Return the printable version of property changes
+	 *
+	 * @param  {Array} changes Property changes
+	 * @return {Array} Printable changes
+	 */
+	formatObjectDiff = function( changes ) {
+		return changes.map( function( a ) {
+			switch (a.type) {
+				case "added":
+					return "+ ".concat(a.path, ": ", formatValue(a.to));
+				case "removed":
+					return "- ".concat(a.path, ": ", formatValue(a.from));
+				default:
+					return "~ ".concat(a.path, ": ", formatValue(a.from), " => ", formatValue(a.to));
+			}
+		});
+	},
+
+	/**
+	 * Return the printable version of a line diff
+	 *
+	 * Unchanged lines are only shown around changed lines.
+	 *
+	 * @param  {Array} lines Line diff
+	 * @return {String} Printable diff
+	 */
+	formatLineDiff = function( lines ) {
+		var output = [], lastIx = -1;
+
+		lines.forEach( function( a, ix ) {
+			var isNearChange = "equal" !== a.type || _.find(lines.slice(Math.max(0, ix - LINE_CONTEXT), ix + LINE_CONTEXT + 1), function( b ) {
+				return "equal" !== b.type;
+			});
+
+			if (! isNearChange) {
+				return;
+			}
+
+			// Mark the start of a block of lines
+			if (ix !== lastIx + 1) {
+				output.push("@@ ".concat(a.from || "-", " / ", a.to || "-", " @@"));
+			}
+
+			output.push(("added" === a.type ? "+ " : ("removed" === a.type ? "- " : "  ")).concat(a.line));
+			lastIx = ix;
+		});
+
+		return output.join("\n");
+	},
+
+	/**
+	 * Return the object identifier of an item record
+	 *
+	 * @param  {Object} record Item record
+	 * @return {String|Null} Object identifier
+	 */
+	getRecordQId = function( record ) {
+		var source = record.properties || record.layout;
+
+		return source && source.qInfo && source.qInfo.qId || null;
+	},
+
+	/**
+	 * Return the differences between two sets of item records
+	 *
+	 * Records are matched per asset by their object identifier (qInfo.qId), then
+	 * by item id and finally by label. Matched records are compared by their
+	 * script lines or otherwise by their properties or layout.
+	 *
+	 * @param  {Array} baseRecords  Base item records
+	 * @param  {Array} otherRecords Other item records
+	 * @return {Array} Differences with `asset`, `status`, `base`, `other`, `changes` and `lines`
+	 */
+	diffRecords = function( baseRecords, otherRecords ) {
+		var result = [], base = _.groupBy(baseRecords, "asset"), other = _.groupBy(otherRecords, "asset");
+
+		_.union(_.keys(base), _.keys(other)).forEach( function( asset ) {
+			var listA = base[asset] || [], listB = other[asset] || [], matched = [], isMatchedA = [], unmatchedB = listB.slice();
+
+			/**
+			 * Match remaining records by a key
+			 *
+			 * @param  {Function} getKey Key getter
+			 * @return {Void}
+			 */
+			function matchBy( getKey ) {
+				listA.forEach( function( a, ixA ) {
+					var key = getKey(a), ix;
+
+					if (isMatchedA[ixA] || null === key || "undefined" === typeof key) {
+						return;
+					}
+
+					ix = _.findIndex(unmatchedB, function( b ) {
+						return getKey(b) === key;
+					});
+
+					if (-1 !== ix) {
+						isMatchedA[ixA] = true;
+						matched.push([a, unmatchedB[ix]]);
+						unmatchedB.splice(ix, 1);
+					}
+				});
+			}
+
+			matchBy(getRecordQId);
+			matchBy( function( a ) { return a.id; });
+			matchBy( function( a ) { return a.label; });
+
+			// Records only in the base
+			listA.forEach( function( a, ixA ) {
+				if (! isMatchedA[ixA]) {
+					result.push({ asset: asset, status: "removed", base: a, other: null });
+				}
+			});
+
+			// Records in both
+			matched.forEach( function( pair ) {
+				var diff = { asset: asset, status: "changed", base: pair[0], other: pair[1], changes: [], lines: null };
+
+				if ("string" === typeof pair[0].script || "string" === typeof pair[1].script) {
+					diff.lines = diffLines(pair[0].script, pair[1].script);
+
+					if (hasLineChanges(diff.lines)) {
+						result.push(diff);
+					}
+				} else {
+					diff.changes = pair[0].properties || pair[1].properties
+						? diffObjects(pair[0].properties, pair[1].properties)
+						: diffObjects(pair[0].layout, pair[1].layout);
+
+					if (diff.changes.length) {
+						result.push(diff);
+					}
+				}
+			});
+
+			// Records only in the other
+			unmatchedB.forEach( function( b ) {
+				result.push({ asset: asset, status: "added", base: null, other: b });
+			});
+		});
+
+		return result;
+	};
+
+	return {
+		objects: diffObjects,
+		lines: diffLines,
+		records: diffRecords,
+		formatObjectDiff: formatObjectDiff,
+		formatLineDiff: formatLineDiff
+	};
+});
@@ -0,0 +1,410 @@
+/**
+ * E-mergo App Inspector export functions
+ *
+ * @package E-mergo Tools Bundle
+ *
+ * @param  {Object} _                   Underscore
+ * @return {Object}                     Export API
+ */
+define([
+	"underscore"
+], function( _ ) {
+
+	/**
+	 * Holds the assets whose items are derived from the other assets
+	 *
+	 * @type {Array}
+	 */
+	var DERIVED_ASSETS = ["errors", "cleanup", "duplicates", "lineage"],
+
+	/**
+	 * Holds the styles of the HTML report
+	 *
+	 * @type {String}
+	 */
+	reportStyle = [
+		"body { margin: 0; font-family: 'Source Sans Pro', Arial, sans-serif; font-size: 14px; color: #404040; background: #f2f2f2; }",
+		"header, main, nav.toc { max-width: 1080px; margin: 0 auto; padding: 0 20px; }",
+		"header { padding-top: 20px; }",
+		"header p { margin: 0; color: #808080; }",
+		"nav.toc { margin-top: 20px; padding: 10px 20px; background: #fff; border: 1px solid #d9d9d9; }",
+		"nav.toc ul { margin: 0; padding-left: 20px; }",
+		"nav.toc > ul > li { margin: 5px 0; }",
+		"nav.toc .count { color: #808080; }",
+		"section.asset { margin: 20px auto; }",
+		"section.asset > h2 { padding-bottom: 5px; border-bottom: 2px solid #009845; }",
+		"article.item { margin: 10px 0; padding: 10px 20px; background: #fff; border: 1px solid #d9d9d9; }",
+		"article.item article.item { background: #fafafa; }",
+		"article.item h3, article.item h4 { margin: 5px 0; }",
+		".item-id { color: #808080; font-size: 12px; }",
+		"dl.details { display: grid; grid-template-columns: 160px 1fr; gap: 5px 10px; }",
+		"dl.details dt { font-weight: 700; }",
+		"dl.details dd { margin: 0; }",
+		"dl.details dd span { display: block; }",
+		"code { font-family: monospace; background: rgba(0, 0, 0, 0.05); padding: 2px 4px; word-break: break-all; }",
+		"ul.errors { padding-left: 20px; color: #dc423f; }",
+		"ul.warnings { padding-left: 20px; color: #b36b00; }",
+		"details.code { margin: 5px 0; }",
+		"details.code summary { cursor: pointer; font-weight: 700; }",
+		"details.code pre { max-height: 400px; overflow: auto; padding: 10px; background: rgba(0, 0, 0, 0.05); }",
+		"a { color: #3f8ab3; }"
+	].join("\n"),
+
+	/**
+	 * Return the HTML escaped version of a text
+	 *
+	 * @param  {Mixed} input Text to escape
+	 * @return {String} Escaped text
+	 */
+	escapeHtml = function( input ) {
+		return _.escape(null === input || "undefined" === typeof input ? "" : String(input));
+	},
+
+	/**
+	 * Return the HTML of an item's details
+	 *
+	 * @param  {Array} details Prepared item details
+	 * @return {String} Details HTML
+	 */
+	getDetailsHtml = function( details ) {
+		if (! details || ! details.length) {
+			return "";
+		}
+
+		return "<dl class=\"details\">".concat(details.map( function( detail ) {
+			return "<dt>".concat(escapeHtml(detail.label), "</dt><dd>", detail.value.map( function( value ) {
+				return detail.isCode
+					? "<span><code>".concat(escapeHtml(value), "</code></span>")
+					: "<span>".concat(escapeHtml(value), "</span>");
+			}).join(""), "</dd>");
+		}).join(""), "</dl>");
+	},
+
+	/**
+	 * Return the HTML of an item's errors or warnings
+	 *
+	 * @param  {Array}  errors Item errors
+	 * @param  {String} title  Optional. Section title. Defaults to 'Errors'.
+	 * @return {String} Errors HTML
+	 */
+	getErrorsHtml = function( errors, title ) {
+		if (! errors || ! errors.length) {
+			return "";
+		}
+
+		return "<h5>".concat(escapeHtml(title || "Errors"), "</h5><ul class=\"", title ? "warnings" : "errors", "\">", errors.map( function( error ) {
+			return "<li>".concat(escapeHtml(error.message || error), (error.errorData || []).map( function( code ) {
+				return " <code>".concat(escapeHtml(code), "</code>");
+			}).join(""), "</li>");
+		}).join(""), "</ul>");
+	},
+
+	/**
+	 * Return the HTML of an item's code blocks
+	 *
+	 * Code blocks are collapsed by default.
+	 *
+	 * @param  {Object} code Item code collection
+	 * @return {String} Code HTML
+	 */
+	getCodeHtml = function( code ) {
+		return _.values(code || {}).map( function( block ) {
+			return "<details class=\"code\"><summary>".concat(escapeHtml(block.label), "</summary><pre><code>", escapeHtml(block.value), "</code></pre></details>");
+		}).join("");
+	},
+
+	/**
+	 * Return the HTML of a single item
+	 *
+	 * @param  {Object} item    Prepared item
+	 * @param  {String} label   Item label
+	 * @param  {String} anchor  Item anchor
+	 * @param  {String} heading Heading element
+	 * @return {String} Item HTML
+	 */
+	getItemHtml = function( item, label, anchor, heading ) {
+		return "<article class=\"item\"".concat(anchor ? " id=\"".concat(anchor, "\"") : "", ">",
+			"<", heading, ">", escapeHtml(label), "</", heading, ">",
+			"<div class=\"item-id\">", escapeHtml(item.id), "</div>",
+			getDetailsHtml(item.details),
+			getErrorsHtml(item.errors),
+			getErrorsHtml(item.warnings, "Warnings"),
+			getCodeHtml(item.code),
+			(item.items || []).map( function( subItem ) {
+				return getItemHtml(subItem, subItem.label || subItem.id, null, "h4");
+			}).join(""),
+		"</article>");
+	},
+
+	/**
+	 * Return the items of the app, without the removed items of a loaded snapshot
+	 *
+	 * @param  {Array} list Prepared items
+	 * @return {Array} Items
+	 */
+	getLiveItems = function( list ) {
+		return (list || []).filter( function( item ) {
+			return "removed" !== item.change;
+		});
+	},
+
+	/**
+	 * Return a self-contained HTML report of the inspected items
+	 *
+	 * @param  {Object} items   Prepared items per asset
+	 * @param  {Array}  assets  List of assets with `id` and `label`
+	 * @param  {Object} options Report options with `title` and `subtitle`
+	 * @return {String} Report HTML
+	 */
+	getHtmlReport = function( items, assets, options ) {
+		var toc = [], sections = [];
+
+		options = options || {};
+
+		// Walk assets in the order of the inspector
+		assets.forEach( function( asset ) {
+			var list = getLiveItems(items[asset.id]), anchors = [], labels = [];
+
+			// Setup item labels, prefixing derived items with their asset
+			list.forEach( function( item, index ) {
+				var assetLabel = item.asset && _.findWhere(assets, { id: item.asset });
+
+				anchors.push("item-".concat(asset.id, "-", index));
+				labels.push(-1 !== DERIVED_ASSETS.indexOf(asset.id) && assetLabel ? assetLabel.label.concat(" / ", item.label) : item.label);
+			});
+
+			// Table of contents
+			toc.push("<li><a href=\"#asset-".concat(asset.id, "\">", escapeHtml(asset.label), "</a> <span class=\"count\">(", list.length, ")</span>", list.length ? "<ul>".concat(list.map( function( item, index ) {
+				return "<li><a href=\"#".concat(anchors[index], "\">", escapeHtml(labels[index]), "</a></li>");
+			}).join(""), "</ul>") : "", "</li>"));
+
+			// Asset section
+			sections.push("<section class=\"asset\" id=\"asset-".concat(asset.id, "\"><h2>", escapeHtml(asset.label), "</h2>", list.map( function( item, index ) {
+				return getItemHtml(item, labels[index], anchors[index], "h3");
+			}).join(""), "</section>"));
+		});
+
+		return [
+			"<!DOCTYPE html>",
+			"<html>",
+			"<head>",
+			"<meta charset=\"utf-8\">",
+			"<title>".concat(escapeHtml(options.title), "</title>"),
+			"<style>".concat(reportStyle, "</style>"),
+			"</head>",
+			"<body>",
+			"<header><h1>".concat(escapeHtml(options.title), "</h1><p>", escapeHtml(options.subtitle), "</p></header>"),
+			"<nav class=\"toc\"><h2>Contents</h2><ul>".concat(toc.join(""), "</ul></nav>"),
+			"<main>".concat(sections.join(""), "</main>"),
+			"</body>",
+			"</html>"
+		].join("\n");
+	},
+
+	/**
+	 * Return a CSV document of a set of rows
+	 *
+	 * Values containing separators, quotes or line breaks are quoted.
+	 *
+	 * @param  {Array} columns List of columns with `name` and `label`
+	 * @param  {Array} rows    List of rows as objects keyed by column name
+	 * @return {String} CSV document
+	 */
+	getCsvDocument = function( columns, rows ) {
+		var escapeValue = function( value ) {
+			value = null === value || "undefined" === typeof value ? "" : String(value);
+
+			return /[",;\r\n]/.test(value) ? "\"".concat(value.replace(/"/g, "\"\""), "\"") : value;
+		};
+
+		return [_.pluck(columns, "label")].concat(rows.map( function( row ) {
+			return columns.map( function( column ) {
+				return row[column.name];
+			});
+		})).map( function( values ) {
+			return values.map(escapeValue).join(",");
+		}).join("\r\n").concat("\r\n");
+	},
+
+	/**
+	 * Holds the identifier of the data export format
+	 *
+	 * @type {String}
+	 */
+	DATA_FORMAT = "qs-emergo-app-inspection",
+
+	/**
+	 * Holds the version of the data export schema
+	 *
+	 * Increment when the structure of the document or its records changes.
+	 *
+	 * @type {Number}
+	 */
+	DATA_VERSION = 2,
+
+	/**
+	 * Return the normalized record of an item
+	 *
+	 * @param  {Object} item    Prepared item
+	 * @param  {String} assetId Asset identifier
+	 * @param  {Object} parent  Optional. Parent item
+	 * @return {Object} Item record
+	 */
+	getItemRecord = function( item, assetId, parent ) {
+		return {
+			asset: assetId,
+			id: String(item.id),
+			parentId: parent ? String(parent.id) : null,
+			label: item.label || (parent && parent.label) || String(item.id),
+			details: (item.details || []).map( function( detail ) {
+				return {
+					name: detail.name || detail.id,
+					label: detail.label,
+					value: detail.value
+				};
+			}),
+			errors: (item.errors || []).map( function( error ) {
+				return "string" === typeof error ? {
+					message: error,
+					errorData: []
+				} : {
+					message: error.message,
+					errorData: error.errorData || []
+				};
+			}),
+			warnings: (item.warnings || []).map( function( warning ) {
+				return {
+					rule: warning.rule,
+					severity: warning.severity,
+					message: warning.message,
+					errorData: warning.errorData
+				};
+			}),
+			properties: item.properties || null,
+			layout: item.layout || null,
+			script: item.hasOwnProperty("script") ? item.script : null
+		};
+	},
+
+	/**
+	 * Return the normalized records of all items
+	 *
+	 * Sub-items are listed directly after their parent item. The errors, cleanup,
+	 * duplicates and lineage assets are skipped, since their items are derived from
+	 * the other assets. Items that were removed since a snapshot are skipped as well.
+	 *
+	 * @param  {Object} items  Prepared items per asset
+	 * @param  {Array}  assets List of assets with `id` and `label`
+	 * @return {Array} Item records
+	 */
+	getRecords = function( items, assets ) {
+		return _.flatten(assets.filter( function( asset ) {
+			return -1 === DERIVED_ASSETS.indexOf(asset.id);
+		}).map( function( asset ) {
+			return getLiveItems(items[asset.id]).map( function( item ) {
+				return [getItemRecord(item, asset.id)].concat((item.items || []).map( function( subItem ) {
+					return getItemRecord(subItem, asset.id, item);
+				}));
+			});
+		}));
+	},
+
+	/**
+	 * Return the data export document header
+	 *
+	 * @param  {Object} options Export options with `app` and `generator`
+	 * @return {Object} Document header
+	 */
+	getDataHeader = function( options ) {
+		options = options || {};
+
+		return {
+			format: DATA_FORMAT,
+			version: DATA_VERSION,
+			generator: options.generator || null,
+			createdAt: new Date().toISOString(),
+			app: options.app || null
+		};
+	},
+
+	/**
+	 * Return a versioned JSON document of the inspected items
+	 *
+	 * @param  {Object} items   Prepared items per asset
+	 * @param  {Array}  assets  List of assets with `id` and `label`
+	 * @param  {Object} options Export options with `app` and `generator`
+	 * @return {String} JSON document
+	 */
+	getJsonDocument = function( items, assets, options ) {
+		return JSON.stringify(_.extend(getDataHeader(options), {
+			items: getRecords(items, assets)
+		}), null, "\t");
+	},
+
+	/**
+	 * Return a NDJSON document of the inspected items
+	 *
+	 * The first line holds the document header, every following line holds
+	 * a single item record.
+	 *
+	 * @param  {Object} items   Prepared items per asset
+	 * @param  {Array}  assets  List of assets with `id` and `label`
+	 * @param  {Object} options Export options with `app` and `generator`
+	 * @return {String} NDJSON document
+	 */
+	getNdjsonDocument = function( items, assets, options ) {
+		return [getDataHeader(options)].concat(getRecords(items, assets)).map( function( a ) {
+			return JSON.stringify(a);
+		}).join("\n").concat("\n");
+	},
+
+	/**
+	 * Return the parsed version of a JSON or NDJSON data document
+	 *
+	 * @param  {String} text Document text
+	 * @return {Object} Document header with `items`
+	 * @throws {Error} When the text is not a supported data document
+	 */
+	parseDataDocument = function( text ) {
+		var doc, lines;
+
+		text = (text || "").trim();
+
+		// Parse JSON document
+		try {
+			doc = JSON.parse(text);
+
+		// Parse NDJSON document
+		} catch (error) {
+			try {
+				lines = text.split(/\r?\n/).filter(Boolean).map( function( line ) {
+					return JSON.parse(line);
+				});
+
+				doc = _.extend(lines[0], {
+					items: lines.slice(1)
+				});
+			} catch (error) {
+				doc = null;
+			}
+		}
+
+		// Validate document
+		if (! doc || DATA_FORMAT !== doc.format || ! (doc.version <= DATA_VERSION) || ! Array.isArray(doc.items)) {
+			throw new Error("The file is not a supported App Inspector data export");
+		}
+
+		return doc;
+	};
+
+	return {
+		html: getHtmlReport,
+		csv: getCsvDocument,
+		json: getJsonDocument,
+		ndjson: getNdjsonDocument,
+		parse: parseDataDocument,
+		records: getRecords,
+		DATA_FORMAT: DATA_FORMAT,
+		DATA_VERSION: DATA_VERSION
+	};
+});
@@ -0,0 +1,427 @@
+/**
+ * E-mergo App Inspector expression functions
+ *
+ * @package E-mergo Tools Bundle
+ *
+ * @param  {Object} _                   Underscore
+ * @return {Object}                     Expression API
+ */
+define([
+	"underscore"
+], function( _ ) {
+
+	/**
+	 * Holds the pattern for characters that can start a bare name
+	 *
+	 * @type {RegExp}
+	 */
+	var NAME_START = /[A-Za-z_@#%À-￿]/,
+
+	/**
+	 * Holds the pattern for characters that can continue a bare name
+	 *
+	 * @type {RegExp}
+	 */
+	NAME_PART = /[\w.@#%$À-￿]/,
+
+	/**
+	 * Return the index of the closing character of a quoted section
+	 *
+	 * Doubled closing characters are treated as escaped.
+	 *
+	 * @param  {String} text  Text
+	 * @param  {Number} start Index of the opening character
+	 * @param  {String} close Closing character
+	 * @return {Number} Index of the closing character
+	 */
+	findClosingQuote = function( text, start, close ) {
+		var i = start + 1;
+
+		while (i < text.length) {
+			if (close === text[i]) {
+				if (close === text[i + 1]) {
+					i += 2;
+					continue;
+				}
+
+				return i;
+			}
+
+			i++;
+		}
+
+		return text.length;
+	},
+
+	/**
+	 * Return the index of the closing parenthesis of a dollar-sign expansion
+	 *
+	 * @param  {String} text  Text
+	 * @param  {Number} start Index of the opening parenthesis
+	 * @return {Number} Index of the closing parenthesis
+	 */
+	findClosingParenthesis = function( text, start ) {
+		var depth = 0, i;
+
+		for (i = start; i < text.length; i++) {
+			if ("(" === text[i]) {
+				depth++;
+			} else if (")" === text[i]) {
+				depth--;
+
+				if (! depth) {
+					return i;
+				}
+			} else if ("'" === text[i]) {
+				i = findClosingQuote(text, i, "'");
+			}
+		}
+
+		return text.length;
+	},
+
+	/**
+	 * Return the text with its dollar-sign expansions blanked out
+	 *
+	 * @param  {String}   text     Text
+	 * @param  {Function} callback Optional. Called with the contents of each expansion
+	 * @return {String} Text without expansions
+	 */
+	blankExpansions = function( text, callback ) {
+		var i = text.indexOf("$("), end;
+
+		while (-1 !== i) {
+			end = findClosingParenthesis(text, i + 1);
+
+			if (callback) {
+				callback(text.substring(i + 2, end).trim());
+			}
+
+			text = text.substring(0, i).concat(new Array(Math.min(end, text.length) - i + 2).join(" "), text.substring(end + 1));
+			i = text.indexOf("$(", i);
+		}
+
+		return text;
+	},
+
+	/**
+	 * Return the tokens of an expression
+	 *
+	 * Tokens have a `type` of either 'string', 'comment', 'name' (bracketed or quoted),
+	 * 'word', 'space' or 'symbol', along with their `value` and `index`.
+	 *
+	 * @param  {String} text Expression
+	 * @return {Array} Tokens
+	 */
+	tokenize = function( text ) {
+		var tokens = [], i = 0, end, type;
+
+		while (i < text.length) {
+
+			// String literals
+			if ("'" === text[i]) {
+				type = "string";
+				end = findClosingQuote(text, i, "'") + 1;
+
+			// Line comments, ignoring urls like lib://
+			} else if ("/" === text[i] && "/" === text[i + 1] && ":" !== text[i - 1]) {
+				type = "comment";
+				end = text.indexOf("\n", i);
+				end = -1 === end ? text.length : end;
+
+			// Block comments
+			} else if ("/" === text[i] && "*" === text[i + 1]) {
+				type = "comment";
+				end = text.indexOf("*/", i + 2);
+				end = -1 === end ? text.length : end + 2;
+
+			// Bracketed and quoted names
+			} else if ("[" === text[i] || "\"" === text[i] || "`" === text[i]) {
+				type = "name";
+				end = findClosingQuote(text, i, "[" === text[i] ? "]" : text[i]) + 1;
+
+			// Bare words
+			} else if (NAME_START.test(text[i])) {
+				type = "word";
+				end = i + 1;
+				while (end < text.length && NAME_PART.test(text[end])) {
+					end++;
+				}
+
+			// Whitespace
+			} else if (/\s/.test(text[i])) {
+				type = "space";
+				end = i + 1;
+				while (end < text.length && /\s/.test(text[end])) {
+					end++;
+				}
+
+			} else {
+				type = "symbol";
+				end = i + 1;
+			}
+
+			end = Math.min(end, text.length);
+			tokens.push({ type: type, value: text.substring(i, end), index: i });
+			i = end;
+		}
+
+		return tokens;
+	},
+
+	/**
+	 * Return the token that follows a token, skipping whitespace and comments
+	 *
+	 * @param  {Array}  tokens Tokens
+	 * @param  {Number} ix     Token index
+	 * @return {Object|Undefined} Next token
+	 */
+	getNextToken = function( tokens, ix ) {
+		for (ix = ix + 1; ix < tokens.length; ix++) {
+			if ("space" !== tokens[ix].type && "comment" !== tokens[ix].type) {
+				return tokens[ix];
+			}
+		}
+	},
+
+	/**
+	 * Return whether the token is a word that is followed by a parenthesis
+	 *
+	 * @param  {Array}  tokens Tokens
+	 * @param  {Number} ix     Token index
+	 * @return {Boolean} Is function
+	 */
+	isFunctionToken = function( tokens, ix ) {
+		var next = getNextToken(tokens, ix);
+
+		return "word" === tokens[ix].type && !! next && "(" === next.value;
+	},
+
+	/**
+	 * Return the unquoted value of a name token
+	 *
+	 * @param  {String} value Token value
+	 * @return {String} Name
+	 */
+	unquoteName = function( value ) {
+		var close = "[" === value[0] ? "]" : value[0];
+
+		return value.substring(1, close === value[value.length - 1] && value.length > 1 ? value.length - 1 : value.length).split(close.concat(close)).join(close);
+	},
+
+	/**
+	 * Return the references in an expression
+	 *
+	 * Dollar-sign expansions are collected first as variables or calculations, since
+	 * they are expanded anywhere in the text, including quoted sections. Their contents
+	 * are parsed as well. Next, names are collected from bracketed, quoted and bare words,
+	 * ignoring string literals and comments. Words that are directly followed by a
+	 * parenthesis are collected as functions.
+	 *
+	 * @param  {String} expression Expression
+	 * @return {Object} References with `names`, `functions`, `variables` and `calculations`
+	 */
+	getReferences = function( expression ) {
+		var refs = { names: [], functions: [], variables: [], calculations: [] }, tokens;
+
+		// Collect and blank out dollar-sign expansions
+		tokens = tokenize(blankExpansions("string" === typeof expression ? expression : "", function( content ) {
+			var word, inner;
+
+			// Calculated expansion
+			if ("=" === content[0]) {
+				refs.calculations.push(content.substr(1));
+				inner = getReferences(content.substr(1));
+
+			// Variable, optionally with parameters
+			} else {
+
+				// Ignore the number formatting prefix like $(#vNumber)
+				word = content.split("(")[0].trim().replace(/^#/, "");
+
+				// Ignore parameter placeholders like $1
+				if (word.length && ! /^\d+$/.test(word)) {
+					refs.variables.push(word);
+				}
+
+				inner = getReferences(-1 !== content.indexOf("(") ? content.substring(content.indexOf("(") + 1, content.lastIndexOf(")")) : "");
+			}
+
+			// Merge nested references
+			refs.names.push.apply(refs.names, inner.names);
+			refs.functions.push.apply(refs.functions, inner.functions);
+			refs.variables.push.apply(refs.variables, inner.variables);
+			refs.calculations.push.apply(refs.calculations, inner.calculations);
+		}));
+
+		tokens.forEach( function( token, ix ) {
+			if ("name" === token.type) {
+				refs.names.push(unquoteName(token.value));
+			} else if ("word" === token.type) {
+				(isFunctionToken(tokens, ix) ? refs.functions : refs.names).push(token.value);
+			}
+		});
+
+		// Ignore names that only held expansions
+		refs.names = _.uniq(refs.names.filter( function( a ) {
+			return a.trim().length;
+		}));
+		refs.functions = _.uniq(refs.functions);
+		refs.variables = _.uniq(refs.variables);
+
+		return refs;
+	},
+
+	/**
+	 * Return the function calls in an expression
+	 *
+	 * Dollar-sign expansions are ignored, since they are calculated separately.
+	 *
+	 * @param  {String} expression Expression
+	 * @return {Array} Calls with `name`, `parents` (names of the enclosing calls) and `argument` text
+	 */
+	getFunctionCalls = function( expression ) {
+		var calls = [], stack = [], text = blankExpansions("string" === typeof expression ? expression : ""), tokens = tokenize(text);
+
+		tokens.forEach( function( token, ix ) {
+			var call, frame;
+
+			if (isFunctionToken(tokens, ix)) {
+				call = {
+					name: token.value,
+					parents: _.pluck(_.compact(_.pluck(stack, "call")), "name"),
+					argument: ""
+				};
+
+				calls.push(call);
+				stack.push({ call: call, start: -1 });
+
+			} else if ("symbol" === token.type && "(" === token.value) {
+
+				// Register the start of the function's argument
+				if (stack.length && _.last(stack).call && -1 === _.last(stack).start) {
+					_.last(stack).start = token.index + 1;
+				} else {
+					stack.push({ call: null });
+				}
+
+			} else if ("symbol" === token.type && ")" === token.value && stack.length) {
+				frame = stack.pop();
+
+				if (frame.call) {
+					frame.call.argument = text.substring(frame.start, token.index);
+				}
+			}
+		});
+
+		// Unclosed calls take the remaining text
+		stack.forEach( function( frame ) {
+			if (frame.call && -1 !== frame.start) {
+				frame.call.argument = text.substring(frame.start);
+			}
+		});
+
+		return calls;
+	},
+
+	/**
+	 * Return the normalized version of an expression
+	 *
+	 * Removes comments and insignificant whitespace and lowercases function names,
+	 * so that equivalent expressions have the same text.
+	 *
+	 * @param  {String} expression Expression
+	 * @return {String} Normalized expression
+	 */
+	normalize = function( expression ) {
+		var tokens = tokenize(("string" === typeof expression ? expression : "").trim()).filter( function( token ) {
+			return "comment" !== token.type;
+		});
+
+		return tokens.map( function( token, ix ) {
+			var prev = tokens[ix - 1], next = tokens[ix + 1];
+
+			switch (token.type) {
+				case "space":
+
+					// Keep a single space between words
+					return prev && next && -1 !== ["word", "name"].indexOf(prev.type) && -1 !== ["word", "name"].indexOf(next.type) ? " " : "";
+				case "word":
+					return isFunctionToken(tokens, ix) ? token.value.toLowerCase() : token.value;
+				default:
+					return token.value;
+			}
+		}).join("");
+	},
+
+	/**
+	 * Return the hash of an expression
+	 *
+	 * Uses the 32-bit FNV-1a hash of the normalized expression.
+	 *
+	 * @param  {String} expression Expression
+	 * @return {String} Hexadecimal hash
+	 */
+	hash = function( expression ) {
+		var text = normalize(expression), value = 0x811c9dc5, i;
+
+		for (i = 0; i < text.length; i++) {
+			value ^= text.charCodeAt(i);
+			value = Math.imul(value, 0x01000193) >>> 0;
+		}
+
+		return ("0000000".concat(value.toString(16))).substr(-8);
+	},
+
+	/**
+	 * Return the variables used in an expression, resolved recursively
+	 *
+	 * Each resolved variable holds the path of variable names through which it is
+	 * referenced. References to variables that are already in the path are reported
+	 * as circular, references to variables without definition as undefined.
+	 *
+	 * @param  {String} expression  Expression
+	 * @param  {Object} definitions Variable definitions by name
+	 * @param  {Array}  path        Optional. Names of the variables being resolved
+	 * @return {Object} Resolution with `variables`, `circular` and `undefined` lists
+	 */
+	resolveVariables = function( expression, definitions, path ) {
+		var result = { variables: [], circular: [], undefined: [] };
+
+		path = path || [];
+
+		getReferences(expression).variables.forEach( function( name ) {
+			var namePath = path.concat(name), nested;
+
+			// Circular reference
+			if (-1 !== path.indexOf(name)) {
+				result.circular.push(namePath);
+
+			// Undefined variable
+			} else if (! definitions.hasOwnProperty(name)) {
+				result.undefined.push(namePath);
+
+			// Resolve nested variables
+			} else {
+				result.variables.push({ name: name, path: namePath, definition: definitions[name] });
+
+				nested = resolveVariables(definitions[name], definitions, namePath);
+				result.variables.push.apply(result.variables, nested.variables);
+				result.circular.push.apply(result.circular, nested.circular);
+				result.undefined.push.apply(result.undefined, nested.undefined);
+			}
+		});
+
+		return result;
+	};
+
+	return {
+		blankExpansions: blankExpansions,
+		getReferences: getReferences,
+		getFunctionCalls: getFunctionCalls,
+		hash: hash,
+		normalize: normalize,
+		resolveVariables: resolveVariables,
+		tokenize: tokenize
+	};
+});
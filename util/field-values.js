@@ -0,0 +1,199 @@
+/**
+ * E-mergo App Inspector field values functions
+ *
+ * @package E-mergo Tools Bundle
+ *
+ * @param  {Object} _                   Underscore
+ * @return {Object}                     Field values API
+ */
+define([
+	"underscore"
+], function( _ ) {
+
+	/**
+	 * Holds the name of the scratch alternate state
+	 *
+	 * Values are listed in this state so that the user's selections are not changed.
+	 *
+	 * @type {String}
+	 */
+	var SCRATCH_STATE = "qs-emergo-app-inspector-scratch",
+
+	/**
+	 * Holds the number of values per page
+	 *
+	 * @type {Number}
+	 */
+	PAGE_SIZE = 50,
+
+	/**
+	 * Holds the sort criteria per sort option
+	 *
+	 * @type {Object}
+	 */
+	SORT_CRITERIA = {
+		frequency: [{ qSortByFrequency: -1, qSortByAscii: 1 }],
+		value: [{ qSortByNumeric: 1, qSortByAscii: 1 }]
+	},
+
+	/**
+	 * Return the type of a list value
+	 *
+	 * @param  {Object} cell List object cell
+	 * @return {String} Value type. Either 'null', 'number', 'dual' or 'text'.
+	 */
+	getValueType = function( cell ) {
+		if (cell.qIsNull) {
+			return "null";
+		} else if ("number" === typeof cell.qNum && isFinite(cell.qNum)) {
+			return String(cell.qNum) === cell.qText ? "number" : "dual";
+		} else {
+			return "text";
+		}
+	},
+
+	/**
+	 * Add the scratch alternate state when it does not exist
+	 *
+	 * Adding the state fails when the user cannot edit the app, like for published apps.
+	 *
+	 * @param  {Object} enigmaApp Enigma app model
+	 * @return {Promise} Whether the state was added, or `null` when it could not be added
+	 */
+	addScratchState = function( enigmaApp ) {
+		return enigmaApp.getAppLayout().then( function( layout ) {
+			if (-1 !== (layout.qStateNames || []).indexOf(SCRATCH_STATE)) {
+				return false;
+			}
+
+			return enigmaApp.addAlternateState(SCRATCH_STATE).then( function() {
+				return true;
+			});
+		}).catch( function() {
+			return null;
+		});
+	},
+
+	/**
+	 * Return a paged list of a field's values
+	 *
+	 * The list is fetched through a session list object in the scratch alternate
+	 * state, so that the user's selections are not changed and do not apply to the
+	 * listed values. When the state cannot be added to the app, the list is fetched
+	 * in the default state, where the values follow the user's selections without
+	 * changing them. Call `close()` to remove the list object and the scratch state.
+	 *
+	 * @param  {Object} enigmaApp Enigma app model
+	 * @param  {String} field     Field name
+	 * @return {Promise} Value list with `isIsolated`, `getPage()`, `search()`, `sort()` and `close()`
+	 */
+	createValueList = function( enigmaApp, field ) {
+		var isStateAdded = false, isIsolated = false;
+
+		return addScratchState(enigmaApp).then( function( isAdded ) {
+			isStateAdded = !! isAdded;
+			isIsolated = null !== isAdded;
+
+			return enigmaApp.createSessionObject({
+				qInfo: {
+					qType: "qs-emergo-app-inspector-values"
+				},
+				qListObjectDef: {
+					qStateName: isIsolated ? SCRATCH_STATE : "$",
+					qDef: {
+						qFieldDefs: [field],
+						qSortCriterias: SORT_CRITERIA.frequency
+					},
+					qFrequencyMode: "V",
+					qShowAlternatives: true,
+					qInitialDataFetch: []
+				}
+			});
+		}).then( function( object ) {
+
+			return {
+				field: field,
+				pageSize: PAGE_SIZE,
+				isIsolated: isIsolated,
+
+				/**
+				 * Return a page of values
+				 *
+				 * @param  {Number} page Page index
+				 * @return {Promise} Page with `values` and `total`
+				 */
+				getPage: function( page ) {
+					return object.getLayout().then( function( layout ) {
+						return object.getListObjectData("/qListObjectDef", [{
+							qTop: page * PAGE_SIZE,
+							qLeft: 0,
+							qWidth: 1,
+							qHeight: PAGE_SIZE
+						}]).then( function( pages ) {
+							return {
+								total: layout.qListObject.qSize.qcy,
+								values: (pages[0] ? pages[0].qMatrix : []).map( function( row ) {
+									return {
+										text: row[0].qIsNull ? "-" : row[0].qText,
+										frequency: row[0].qFrequency,
+										type: getValueType(row[0])
+									};
+								})
+							};
+						});
+					});
+				},
+
+				/**
+				 * Search the values
+				 *
+				 * @param  {String} query Search query. Clears the search when empty.
+				 * @return {Promise} Search is applied
+				 */
+				search: function( query ) {
+					return query
+						? object.searchListObjectFor("/qListObjectDef", query)
+						: object.abortListObjectSearch("/qListObjectDef");
+				},
+
+				/**
+				 * Sort the values
+				 *
+				 * @param  {String} sortBy Sort option. Either 'frequency' or 'value'.
+				 * @return {Promise} Sorting is applied
+				 */
+				sort: function( sortBy ) {
+					return object.applyPatches([{
+						qOp: "replace",
+						qPath: "/qListObjectDef/qDef/qSortCriterias",
+						qValue: JSON.stringify(SORT_CRITERIA[sortBy] || SORT_CRITERIA.frequency)
+					}], true);
+				},
+
+				/**
+				 * Remove the list object and the scratch state
+				 *
+				 * @return {Promise} List is closed
+				 */
+				close: function() {
+					return enigmaApp.destroySessionObject(object.id).then( function() {
+						return isStateAdded && enigmaApp.removeAlternateState(SCRATCH_STATE);
+					});
+				}
+			};
+		}).catch( function( error ) {
+
+			// Remove the scratch state when the list could not be setup
+			if (isStateAdded) {
+				enigmaApp.removeAlternateState(SCRATCH_STATE);
+			}
+
+			throw error;
+		});
+	};
+
+	return {
+		create: createValueList,
+		SCRATCH_STATE: SCRATCH_STATE
+	};
+});
@@ -0,0 +1,169 @@
+/**
+ * E-mergo App Inspector memory footprint functions
+ *
+ * @package E-mergo Tools Bundle
+ *
+ * @param  {Object} _                   Underscore
+ * @return {Object}                     Footprint API
+ */
+define([
+	"underscore"
+], function( _ ) {
+
+	/**
+	 * Holds the thresholds for reporting easy wins
+	 *
+	 * @type {Object}
+	 */
+	var THRESHOLD = {
+
+		// Distinct values of a timestamp from which splitting into date and time pays off
+		timestampCardinality: 10000,
+
+		// Distinct values of a key from which it is considered high-cardinality
+		keyCardinality: 100000,
+
+		// Average bytes per value from which text values are considered long
+		valueBytes: 100,
+
+		// Size in bytes from which an unused field is worth dropping
+		unusedBytes: 1024 * 1024
+	},
+
+	/**
+	 * Return the number of bytes per row for pointing to a field's values
+	 *
+	 * The engine stores the rows of a table as bit-stuffed pointers to the field's
+	 * distinct values, so the pointer size grows with the field's cardinality.
+	 *
+	 * @param  {Number} cardinality Number of distinct values
+	 * @return {Number} Bytes per row
+	 */
+	getPointerBytes = function( cardinality ) {
+		return Math.max(1, Math.ceil(Math.log(cardinality + 1) / Math.LN2)) / 8;
+	},
+
+	/**
+	 * Return the estimated memory footprint of a data model
+	 *
+	 * A field's size consists of its symbol table, holding its distinct values, and
+	 * the pointers of each table it appears in. A table's size consists of its field
+	 * pointers and the symbol tables of its fields, shared equally between the tables
+	 * a field appears in.
+	 *
+	 * @param  {Array} tables Data model tables from `getTablesAndKeys()`
+	 * @param  {Array} fields Fields with `name`, `byteSize`, `cardinality` and `tags`
+	 * @return {Object} Footprint with `bytes`, `tables` and `fields`, both ranked by size
+	 */
+	estimate = function( tables, fields ) {
+		var fieldSizes = {}, tableSizes;
+
+		fields.forEach( function( a ) {
+			fieldSizes[a.name] = _.extend({}, a, {
+				symbolBytes: a.byteSize || 0,
+				pointerBytes: 0,
+				tables: []
+			});
+		});
+
+		tables.filter( function( a ) {
+			return ! a.qIsSynthetic;
+		}).forEach( function( table ) {
+			table.qFields.forEach( function( a ) {
+				var field = fieldSizes[a.qName];
+
+				if (field) {
+					field.pointerBytes += table.qNoOfRows * getPointerBytes(a.qnTotalDistinctValues || field.cardinality || 0);
+					field.tables.push(table.qName);
+				}
+			});
+		});
+
+		tableSizes = tables.filter( function( a ) {
+			return ! a.qIsSynthetic;
+		}).map( function( table ) {
+			var bytes = 0;
+
+			table.qFields.forEach( function( a ) {
+				var field = fieldSizes[a.qName];
+
+				if (field) {
+					bytes += table.qNoOfRows * getPointerBytes(a.qnTotalDistinctValues || field.cardinality || 0) + field.symbolBytes / field.tables.length;
+				}
+			});
+
+			return {
+				name: table.qName,
+				rows: table.qNoOfRows,
+				fieldCount: table.qFields.length,
+				bytes: Math.round(bytes)
+			};
+		});
+
+		fieldSizes = _.values(fieldSizes).map( function( a ) {
+			a.pointerBytes = Math.round(a.pointerBytes);
+			a.bytes = a.symbolBytes + a.pointerBytes;
+
+			return a;
+		});
+
+		return {
+			bytes: _.reduce(_.pluck(fieldSizes, "bytes"), function( sum, a ) { return sum + a; }, 0),
+			tables: _.sortBy(tableSizes, "bytes").reverse(),
+			fields: _.sortBy(fieldSizes, "bytes").reverse()
+		};
+	},
+
+	/**
+	 * Return the fields that can easily be made smaller
+	 *
+	 * @param  {Object} footprint Estimated footprint
+	 * @return {Array} Easy wins with `field`, `bytes` and `reason`
+	 */
+	getEasyWins = function( footprint ) {
+		var wins = [];
+
+		footprint.fields.forEach( function( a ) {
+			var tags = a.tags || [];
+
+			// Timestamps
+			if (-1 !== tags.indexOf("$timestamp") && a.cardinality >= THRESHOLD.timestampCardinality) {
+				wins.push({
+					field: a,
+					reason: "Timestamp with many distinct values, split it into a date and a time field" // Translation?
+				});
+			}
+
+			// High-cardinality keys
+			if (-1 !== tags.indexOf("$key") && (a.cardinality >= THRESHOLD.keyCardinality || (-1 !== tags.indexOf("$text") && a.cardinality >= THRESHOLD.timestampCardinality))) {
+				wins.push({
+					field: a,
+					reason: "High-cardinality key, replace it with AutoNumber()" // Translation?
+				});
+			}
+
+			// Long text values
+			if (-1 === tags.indexOf("$key") && a.cardinality && a.symbolBytes / a.cardinality >= THRESHOLD.valueBytes) {
+				wins.push({
+					field: a,
+					reason: "Long text values, consider dropping or shortening them" // Translation?
+				});
+			}
+
+			// Unused fields
+			if (a.isUnused && a.bytes >= THRESHOLD.unusedBytes) {
+				wins.push({
+					field: a,
+					reason: "Unused field, drop it from the data model" // Translation?
+				});
+			}
+		});
+
+		return wins;
+	};
+
+	return {
+		estimate: estimate,
+		easyWins: getEasyWins
+	};
+});
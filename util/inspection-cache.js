@@ -0,0 +1,357 @@
+/**
+ * E-mergo App Inspector inspection cache functions
+ *
+ * @package E-mergo Tools Bundle
+ *
+ * @param  {Object} _                   Underscore
+ * @param  {Object} $q                  Angular's Q promise library
+ * @return {Object}                     Inspection cache API
+ */
+define([
+	"underscore",
+	"ng!$q"
+], function( _, $q ) {
+
+	/**
+	 * Holds the name of the cache database
+	 *
+	 * @type {String}
+	 */
+	var DB_NAME = "qs-emergo-app-inspector",
+
+	/**
+	 * Holds the name of the store of the cached inspection data
+	 *
+	 * @type {String}
+	 */
+	DATA_STORE = "inspections",
+
+	/**
+	 * Holds the name of the store of the cache entries
+	 *
+	 * Entries hold the metadata of the cached inspections, so the cache can be
+	 * maintained without reading the inspection data.
+	 *
+	 * @type {String}
+	 */
+	ENTRY_STORE = "entries",
+
+	/**
+	 * Holds the name of the store of the stored snapshots
+	 *
+	 * Snapshots are stored per app. They are not part of the cache, so they are
+	 * kept when the cache is pruned or upgraded.
+	 *
+	 * @type {String}
+	 */
+	SNAPSHOT_STORE = "snapshots",
+
+	/**
+	 * Holds the limits of the cache
+	 *
+	 * @type {Object}
+	 */
+	LIMIT = {
+
+		// Number of cached inspections
+		entries: 20,
+
+		// Total size in characters of the cached inspections
+		size: 50 * 1024 * 1024
+	},
+
+	/**
+	 * Holds the promise of the opened database
+	 *
+	 * @type {Promise}
+	 */
+	dbPromise = null,
+
+	/**
+	 * Return the opened cache database
+	 *
+	 * @return {Promise} Database
+	 */
+	openDb = function() {
+		var request, dfd;
+
+		if (! dbPromise) {
+			if (! window.indexedDB) {
+				return $q.reject(new Error("IndexedDB is not available"));
+			}
+
+			request = window.indexedDB.open(DB_NAME, 3);
+
+			// Create the stores on first use, dropping the cache stores of earlier versions
+			request.onupgradeneeded = function() {
+				var db = request.result;
+
+				_.without(_.toArray(db.objectStoreNames), SNAPSHOT_STORE).forEach( function( name ) {
+					db.deleteObjectStore(name);
+				});
+
+				db.createObjectStore(DATA_STORE, { keyPath: "key" });
+				db.createObjectStore(ENTRY_STORE, { keyPath: "key" }).createIndex("appId", "appId", { unique: false });
+
+				if (! db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+					db.createObjectStore(SNAPSHOT_STORE, { keyPath: "appId" });
+				}
+			};
+
+			dfd = $q.defer();
+
+			request.onsuccess = function() {
+				dfd.resolve(request.result);
+			};
+			request.onerror = function() {
+				dfd.reject(request.error);
+			};
+
+			dbPromise = dfd.promise.catch( function( error ) {
+				dbPromise = null;
+				throw error;
+			});
+		}
+
+		return dbPromise;
+	},
+
+	/**
+	 * Run requests on the cache stores in a single transaction
+	 *
+	 * @param  {String}   mode     Transaction mode. Either 'readonly' or 'readwrite'.
+	 * @param  {Function} callback Receives the data store, the entry store and the snapshot store. Optionally returns a request.
+	 * @return {Promise} Result of the returned request when the transaction is complete
+	 */
+	withStores = function( mode, callback ) {
+		return openDb().then( function( db ) {
+			var dfd = $q.defer(),
+			    transaction = db.transaction([DATA_STORE, ENTRY_STORE, SNAPSHOT_STORE], mode),
+			    request = callback(transaction.objectStore(DATA_STORE), transaction.objectStore(ENTRY_STORE), transaction.objectStore(SNAPSHOT_STORE));
+
+			transaction.oncomplete = function() {
+				dfd.resolve(request ? request.result : undefined);
+			};
+			transaction.onerror = transaction.onabort = function() {
+				dfd.reject(transaction.error);
+			};
+
+			return dfd.promise;
+		});
+	},
+
+	/**
+	 * Delete the cached inspections from both stores
+	 *
+	 * @param  {Object} dataStore  Data store
+	 * @param  {Object} entryStore Entry store
+	 * @param  {Array}  keys       Cache keys
+	 * @return {Void}
+	 */
+	deleteKeys = function( dataStore, entryStore, keys ) {
+		keys.forEach( function( key ) {
+			dataStore.delete(key);
+			entryStore.delete(key);
+		});
+	},
+
+	/**
+	 * Return the cache key of an app's inspection
+	 *
+	 * The key changes when the app is reloaded or modified, so stale inspections
+	 * are never returned. Installed extensions are not part of the key, so data
+	 * about them should not be cached.
+	 *
+	 * @param  {String} appId          App identifier
+	 * @param  {String} lastReloadTime App's last reload time
+	 * @param  {String} modifiedDate   App's modified date
+	 * @return {String} Cache key
+	 */
+	getKey = function( appId, lastReloadTime, modifiedDate ) {
+		return [appId, lastReloadTime || "", modifiedDate || ""].join("|");
+	},
+
+	/**
+	 * Return the cached inspection
+	 *
+	 * Inspections that cannot be read or marked as used are removed from the cache.
+	 *
+	 * @param  {String} key Cache key
+	 * @return {Promise} Cached inspection with `data` and `storedAt` or `null`
+	 */
+	get = function( key ) {
+		return withStores("readonly", function( dataStore ) {
+			return dataStore.get(key);
+		}).then( function( record ) {
+			var data;
+
+			if (! record) {
+				return null;
+			}
+
+			try {
+				data = JSON.parse(record.json);
+			} catch (error) {
+				return removeKey(key).then( function() {
+					return null;
+				});
+			}
+
+			// Mark the inspection as recently used
+			withStores("readwrite", function( dataStore, entryStore ) {
+				var request = entryStore.get(key);
+
+				request.onsuccess = function() {
+					if (request.result) {
+						request.result.accessedAt = Date.now();
+						entryStore.put(request.result);
+					}
+				};
+			}).catch( function() {
+				return removeKey(key);
+			}).catch(_.noop);
+
+			return {
+				data: data,
+				storedAt: record.storedAt
+			};
+		});
+	},
+
+	/**
+	 * Remove a single cached inspection
+	 *
+	 * @param  {String} key Cache key
+	 * @return {Promise} Inspection is removed
+	 */
+	removeKey = function( key ) {
+		return withStores("readwrite", function( dataStore, entryStore ) {
+			deleteKeys(dataStore, entryStore, [key]);
+		});
+	},
+
+	/**
+	 * Store the inspection
+	 *
+	 * Replaces earlier inspections of the app and removes the least recently used
+	 * inspections when the cache exceeds its limits.
+	 *
+	 * @param  {String} key   Cache key
+	 * @param  {String} appId App identifier
+	 * @param  {Object} data  Inspection data
+	 * @return {Promise} Inspection is stored
+	 */
+	set = function( key, appId, data ) {
+		var json = JSON.stringify(data), now = Date.now();
+
+		// Skip inspections that would not fit at all
+		if (json.length > LIMIT.size) {
+			return remove(appId);
+		}
+
+		return remove(appId).then( function() {
+			return withStores("readwrite", function( dataStore, entryStore ) {
+				dataStore.put({
+					key: key,
+					json: json,
+					storedAt: now
+				});
+				entryStore.put({
+					key: key,
+					appId: appId,
+					size: json.length,
+					storedAt: now,
+					accessedAt: now
+				});
+			});
+		}).then(prune);
+	},
+
+	/**
+	 * Remove the cached inspections of an app
+	 *
+	 * @param  {String} appId App identifier
+	 * @return {Promise} Inspections are removed
+	 */
+	remove = function( appId ) {
+		return withStores("readwrite", function( dataStore, entryStore ) {
+			var request = entryStore.index("appId").getAllKeys(appId);
+
+			request.onsuccess = function() {
+				deleteKeys(dataStore, entryStore, request.result);
+			};
+		});
+	},
+
+	/**
+	 * Remove the least recently used inspections until the cache is within its limits
+	 *
+	 * Only the cache entries are read, not the inspection data.
+	 *
+	 * @return {Promise} Cache is pruned
+	 */
+	prune = function() {
+		return withStores("readwrite", function( dataStore, entryStore ) {
+			var request = entryStore.getAll();
+
+			request.onsuccess = function() {
+				var entries = request.result, size = _.reduce(_.pluck(entries, "size"), function( sum, a ) { return sum + a; }, 0), removed = [];
+
+				_.sortBy(entries, "accessedAt").forEach( function( a, ix ) {
+					if (entries.length - ix > LIMIT.entries || size > LIMIT.size) {
+						size -= a.size;
+						removed.push(a.key);
+					}
+				});
+
+				deleteKeys(dataStore, entryStore, removed);
+			};
+		});
+	};
+
+	/**
+	 * Return the stored snapshot of an app
+	 *
+	 * @param  {String} appId App identifier
+	 * @return {Promise} Stored snapshot with `text` and `storedAt` or `null`
+	 */
+	getSnapshot = function( appId ) {
+		return withStores("readonly", function( dataStore, entryStore, snapshotStore ) {
+			return snapshotStore.get(appId);
+		}).then( function( record ) {
+			return record ? {
+				text: record.text,
+				storedAt: record.storedAt
+			} : null;
+		});
+	},
+
+	/**
+	 * Store the snapshot of an app
+	 *
+	 * Replaces the earlier snapshot of the app. Rejects with a `QuotaExceededError`
+	 * when the browser's storage is full.
+	 *
+	 * @param  {String} appId App identifier
+	 * @param  {String} text  Snapshot document text
+	 * @return {Promise} Snapshot is stored
+	 */
+	setSnapshot = function( appId, text ) {
+		return withStores("readwrite", function( dataStore, entryStore, snapshotStore ) {
+			snapshotStore.put({
+				appId: appId,
+				text: text,
+				storedAt: Date.now()
+			});
+		});
+	};
+
+	return {
+		getKey: getKey,
+		get: get,
+		set: set,
+		remove: remove,
+		getSnapshot: getSnapshot,
+		setSnapshot: setSnapshot
+	};
+});
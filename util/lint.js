@@ -0,0 +1,288 @@
+/**
+ * E-mergo App Inspector expression lint functions
+ *
+ * @package E-mergo Tools Bundle
+ *
+ * @param  {Object} _                   Underscore
+ * @param  {Object} expression          E-mergo App Inspector expression functions
+ * @return {Object}                     Lint API
+ */
+define([
+	"underscore",
+	"./expression"
+], function( _, expression ) {
+
+	/**
+	 * Holds the available warning severities
+	 *
+	 * @type {Object}
+	 */
+	var SEVERITY = {
+		warning: "warning",
+		info: "info"
+	},
+
+	/**
+	 * Holds the names of the aggregation functions in lowercase
+	 *
+	 * @type {Array}
+	 */
+	AGGREGATION_FUNCTIONS = [
+		"avg", "concat", "correl", "count", "firstsortedvalue", "fractile", "kurtosis", "max", "maxstring",
+		"median", "min", "minstring", "missingcount", "mode", "nullcount", "numericcount", "only", "skew",
+		"stdev", "sterr", "steyx", "sum", "textcount"
+	],
+
+	/**
+	 * Holds the number of distinct values from which a field is considered to have a high cardinality
+	 *
+	 * @type {Number}
+	 */
+	HIGH_CARDINALITY = 1000,
+
+	/**
+	 * Holds the pattern for date literals
+	 *
+	 * @type {RegExp}
+	 */
+	DATE_PATTERN = /\b(\d{4}[-\/.]\d{1,2}[-\/.]\d{1,2}|\d{1,2}[-\/.]\d{1,2}[-\/.]\d{2,4})\b/g,
+
+	/**
+	 * Holds the registered lint rules
+	 *
+	 * @type {Array}
+	 */
+	rules = [],
+
+	/**
+	 * Return whether the function is an aggregation function
+	 *
+	 * @param  {String} name Function name
+	 * @return {Boolean} Is aggregation
+	 */
+	isAggregation = function( name ) {
+		return -1 !== AGGREGATION_FUNCTIONS.indexOf(name.toLowerCase());
+	},
+
+	/**
+	 * Return the enclosing calls of a function call that are within the same aggregation scope
+	 *
+	 * Calls within Aggr() start a new aggregation scope.
+	 *
+	 * @param  {Object} call Function call
+	 * @return {Array} Names of enclosing calls
+	 */
+	getScopeParents = function( call ) {
+		var lowerParents = call.parents.map( function( a ) {
+			return a.toLowerCase();
+		});
+
+		return call.parents.slice(lowerParents.lastIndexOf("aggr") + 1);
+	},
+
+	/**
+	 * Return the argument of a function call without its leading set expression
+	 *
+	 * @param  {String} argument Function argument
+	 * @return {String} Argument
+	 */
+	stripSetExpression = function( argument ) {
+		var depth = 0, i;
+
+		argument = argument.trim();
+
+		if ("{" !== argument[0]) {
+			return argument;
+		}
+
+		for (i = 0; i < argument.length; i++) {
+			if ("{" === argument[i]) {
+				depth++;
+			} else if ("}" === argument[i]) {
+				depth--;
+
+				if (! depth) {
+					return argument.substr(i + 1).trim();
+				}
+			}
+		}
+
+		return "";
+	},
+
+	/**
+	 * Register a lint rule
+	 *
+	 * The rule's test function receives the expression, the lint context and the
+	 * linted entry and returns a list of findings. Each finding is reported as a
+	 * warning with the rule's message.
+	 *
+	 * @param  {Object} rule Rule with `id`, `message`, `severity` and `test`
+	 * @return {Void}
+	 */
+	registerRule = function( rule ) {
+		rules = rules.filter( function( a ) {
+			return a.id !== rule.id;
+		}).concat(_.defaults(rule, {
+			severity: SEVERITY.warning
+		}));
+	},
+
+	/**
+	 * Return the registered lint rules
+	 *
+	 * @return {Array} Lint rules
+	 */
+	getRules = function() {
+		return rules.slice();
+	},
+
+	/**
+	 * Return the warnings for a set of expressions
+	 *
+	 * @param  {Array}  entries Entries with `id`, `expression` and `isMaster`
+	 * @param  {Object} context Optional. Lint context with `fieldCardinality` by field name
+	 * @return {Array} Warnings with `entry`, `rule`, `severity`, `message` and `errorData`
+	 */
+	lint = function( entries, context ) {
+		var warnings = [];
+
+		context = _.extend({ fieldCardinality: {} }, context);
+
+		// Collect the owners of each non-master expression
+		context.expressionOwners = {};
+		entries.forEach( function( entry ) {
+			var normalized;
+
+			if (! entry.isMaster) {
+				normalized = expression.normalize(entry.expression);
+				context.expressionOwners[normalized] = _.union(context.expressionOwners[normalized] || [], [entry.id]);
+			}
+		});
+
+		entries.forEach( function( entry ) {
+			var calls = expression.getFunctionCalls(entry.expression);
+
+			rules.forEach( function( rule ) {
+				var findings;
+
+				try {
+					findings = rule.test(entry.expression, _.extend({ calls: calls }, context), entry) || [];
+				} catch (error) {
+					findings = [];
+
+					// Report that the expression was not checked
+					warnings.push({
+						entry: entry,
+						rule: rule.id,
+						severity: SEVERITY.info,
+						message: "Lint rule failed to check the expression", // Translation?
+						errorData: [error && error.message || String(error)]
+					});
+				}
+
+				_.uniq(findings).forEach( function( finding ) {
+					warnings.push({
+						entry: entry,
+						rule: rule.id,
+						severity: rule.severity,
+						message: rule.message,
+						errorData: [finding]
+					});
+				});
+			});
+		});
+
+		return warnings;
+	};
+
+	/**
+	 * Nested aggregations require the TOTAL qualifier or the Aggr() function
+	 */
+	registerRule({
+		id: "nested-aggregation",
+		message: "Nested aggregation without TOTAL qualifier", // Translation?
+		test: function( text, context ) {
+			return context.calls.filter( function( call ) {
+				return isAggregation(call.name) && _.find(getScopeParents(call), isAggregation) && ! /^(DISTINCT\s+)?TOTAL\b/i.test(stripSetExpression(call.argument));
+			}).map( function( call ) {
+				return _.find(getScopeParents(call), isAggregation).concat("(", call.name, "(...))");
+			});
+		}
+	});
+
+	/**
+	 * Conditions within aggregations can often be replaced by set analysis
+	 */
+	registerRule({
+		id: "if-in-aggregation",
+		message: "If() inside aggregation, consider using set analysis", // Translation?
+		severity: SEVERITY.info,
+		test: function( text, context ) {
+			return context.calls.filter( function( call ) {
+				return "if" === call.name.toLowerCase() && _.find(getScopeParents(call), isAggregation);
+			}).map( function( call ) {
+				return _.find(getScopeParents(call), isAggregation).concat("(If(", call.argument, "))");
+			});
+		}
+	});
+
+	/**
+	 * Set modifiers should not contain fixed dates
+	 */
+	registerRule({
+		id: "hardcoded-date-in-set",
+		message: "Hard-coded date in set modifier", // Translation?
+		test: function( text ) {
+			var findings = [];
+
+			// Variables in expansions are fine
+			(expression.blankExpansions(text).match(/\{<[\s\S]*?>\}/g) || []).forEach( function( modifier ) {
+				findings.push.apply(findings, modifier.match(DATE_PATTERN) || []);
+			});
+
+			return findings;
+		}
+	});
+
+	/**
+	 * Only() returns null when the field has more than one possible value
+	 */
+	registerRule({
+		id: "only-high-cardinality",
+		message: "Only() on a field with many distinct values", // Translation?
+		test: function( text, context ) {
+			return context.calls.filter( function( call ) {
+				return "only" === call.name.toLowerCase();
+			}).map( function( call ) {
+				return stripSetExpression(call.argument).replace(/^\[([\s\S]*)\]$/, "$1");
+			}).filter( function( field ) {
+				return context.fieldCardinality[field] > HIGH_CARDINALITY;
+			}).map( function( field ) {
+				return field.concat(" (", context.fieldCardinality[field], ")");
+			});
+		}
+	});
+
+	/**
+	 * Expressions that are used in multiple objects should be master items
+	 */
+	registerRule({
+		id: "duplicated-expression",
+		message: "Expression is duplicated in other objects, consider a master item", // Translation?
+		test: function( text, context, entry ) {
+			var owners = context.expressionOwners[expression.normalize(text)] || [];
+
+			return ! entry.isMaster && owners.length > 1 && _.find(context.calls, function( call ) {
+				return isAggregation(call.name);
+			}) ? ["Used in ".concat(owners.length, " objects")] : [];
+		}
+	});
+
+	return {
+		SEVERITY: SEVERITY,
+		registerRule: registerRule,
+		getRules: getRules,
+		lint: lint
+	};
+});
@@ -0,0 +1,300 @@
+/**
+ * E-mergo App Inspector field profile functions
+ *
+ * @package E-mergo Tools Bundle
+ *
+ * @param  {Object} _                   Underscore
+ * @param  {Object} $q                  Angular's Q promise library
+ * @return {Object}                     Profile API
+ */
+define([
+	"underscore",
+	"ng!$q"
+], function( _, $q ) {
+
+	/**
+	 * Holds the number of most frequent values to list
+	 *
+	 * @type {Number}
+	 */
+	var MOST_FREQUENT = 10,
+
+	/**
+	 * Holds the number of histogram bins
+	 *
+	 * @type {Number}
+	 */
+	HISTOGRAM_BINS = 10,
+
+	/**
+	 * Return the field name quoted for use in expressions
+	 *
+	 * @param  {String} name Field name
+	 * @return {String} Quoted field name
+	 */
+	quoteField = function( name ) {
+		return "[".concat(name.replace(/\]/g, "]]"), "]");
+	},
+
+	/**
+	 * Return whether the value is a usable number
+	 *
+	 * @param  {Mixed} value Value
+	 * @return {Boolean} Is number
+	 */
+	isNumber = function( value ) {
+		return "number" === typeof value && isFinite(value);
+	},
+
+	/**
+	 * Return a number formatted for display
+	 *
+	 * @param  {Number} value Number
+	 * @return {String} Formatted number
+	 */
+	formatNumber = function( value ) {
+		return isNumber(value) ? (Math.round(value * 100) / 100).toLocaleString() : "-";
+	},
+
+	/**
+	 * Return a count formatted with its ratio of the total
+	 *
+	 * @param  {Number} count Count
+	 * @param  {Number} total Total
+	 * @return {String} Formatted count
+	 */
+	formatRatio = function( count, total ) {
+		return formatNumber(count).concat(total && isNumber(count) ? " (".concat(formatNumber(count / total * 100), "%)") : "");
+	},
+
+	/**
+	 * Return the histogram bins with their label and ratio to the largest bin
+	 *
+	 * @param  {Array} bins Bins with `from`, `to` and `count`
+	 * @return {Array} Bins with `label` and `ratio`
+	 */
+	setupHistogram = function( bins ) {
+		var max = _.max(_.pluck(bins, "count").concat(0));
+
+		return bins.map( function( a ) {
+			return _.extend(a, {
+				label: formatNumber(a.from).concat(" - ", formatNumber(a.to)),
+				ratio: max ? a.count / max : 0
+			});
+		});
+	},
+
+	/**
+	 * Return the profile of a field from the engine's table profile data
+	 *
+	 * @param  {Object} field Field profiling data from `getTableProfileData()`
+	 * @param  {Number} rows  Number of rows in the field's table
+	 * @return {Object} Field profile
+	 */
+	fromTableProfile = function( field, rows ) {
+		var distribution = field.qFrequencyDistribution || {}, edges = distribution.qBinsEdges || [];
+
+		return setupMetrics({
+			source: "profile",
+			rows: rows,
+			distinct: field.qDistinctValues,
+			nulls: field.qNullValues,
+			empty: field.qEmptyStrings,
+			text: field.qTextValues,
+			numeric: field.qNumericValues,
+			min: field.qMin,
+			max: field.qMax,
+			median: field.qMedian,
+			average: field.qAverage,
+			mostFrequent: (field.qMostFrequent || []).slice(0, MOST_FREQUENT).map( function( a ) {
+				return {
+					value: a.qSymbol.qText,
+					frequency: a.qFrequency
+				};
+			}),
+			histogram: setupHistogram((distribution.qFrequencies || []).map( function( count, ix ) {
+				return {
+					from: edges[ix],
+					to: edges[ix + 1],
+					count: count
+				};
+			}))
+		});
+	},
+
+	/**
+	 * Return the layout of a temporary hypercube
+	 *
+	 * @param  {Object} enigmaApp Enigma app model
+	 * @param  {Object} cubeDef   Hypercube definition
+	 * @return {Promise} Hypercube layout
+	 */
+	getCubeLayout = function( enigmaApp, cubeDef ) {
+		return enigmaApp.createSessionObject({
+			qInfo: {
+				qType: "qs-emergo-app-inspector-profile"
+			},
+			qHyperCubeDef: cubeDef
+		}).then( function( object ) {
+
+			// Remove the session object before going forward, also when the layout fails
+			return $q.resolve(object.getLayout()).finally( function() {
+				return enigmaApp.destroySessionObject(object.id);
+			}).then( function( layout ) {
+				return layout.qHyperCube;
+			});
+		});
+	},
+
+	/**
+	 * Return the profile of a field calculated with hypercubes
+	 *
+	 * Used when the engine does not provide table profile data. Calculations ignore
+	 * the current selections.
+	 *
+	 * @param  {Object} enigmaApp Enigma app model
+	 * @param  {String} name      Field name
+	 * @param  {Number} rows      Number of rows in the field's table
+	 * @return {Promise} Field profile
+	 */
+	fromHypercube = function( enigmaApp, name, rows ) {
+		var field = quoteField(name), measures = {
+			distinct: "Count({1} DISTINCT ".concat(field, ")"),
+			nulls: "NullCount({1} ".concat(field, ")"),
+			empty: "Sum({1} If(Len(".concat(field, ") = 0 And Not IsNull(", field, "), 1, 0))"),
+			text: "TextCount({1} ".concat(field, ")"),
+			numeric: "NumericCount({1} ".concat(field, ")"),
+			min: "Min({1} ".concat(field, ")"),
+			max: "Max({1} ".concat(field, ")"),
+			median: "Median({1} ".concat(field, ")"),
+			average: "Avg({1} ".concat(field, ")")
+		};
+
+		return $q.all([
+
+			// Basic metrics
+			getCubeLayout(enigmaApp, {
+				qMeasures: _.values(measures).map( function( a ) {
+					return { qDef: { qDef: a } };
+				}),
+				qInitialDataFetch: [{ qTop: 0, qLeft: 0, qWidth: _.size(measures), qHeight: 1 }]
+			}),
+
+			// Most frequent values
+			getCubeLayout(enigmaApp, {
+				qDimensions: [{
+					qDef: { qFieldDefs: [field] },
+					qShowAll: true,
+					qNullSuppression: true
+				}],
+				qMeasures: [{
+					qDef: { qDef: "Count({1} ".concat(field, ")") },
+					qSortBy: { qSortByNumeric: -1 }
+				}],
+				qInterColumnSortOrder: [1, 0],
+				qInitialDataFetch: [{ qTop: 0, qLeft: 0, qWidth: 2, qHeight: MOST_FREQUENT }]
+			})
+		]).then( function( cubes ) {
+			var row = cubes[0].qDataPages[0].qMatrix[0] || [], profile = { source: "hypercube", rows: rows }, width;
+
+			_.keys(measures).forEach( function( key, ix ) {
+				profile[key] = row[ix] && isNumber(row[ix].qNum) ? row[ix].qNum : null;
+			});
+
+			profile.mostFrequent = cubes[1].qDataPages[0].qMatrix.map( function( a ) {
+				return {
+					value: a[0].qText,
+					frequency: a[1].qNum
+				};
+			});
+
+			// Bail when there is no numeric range to distribute
+			if (! profile.numeric || ! isNumber(profile.min) || ! isNumber(profile.max) || profile.min === profile.max) {
+				profile.histogram = [];
+				return setupMetrics(profile);
+			}
+
+			width = (profile.max - profile.min) / HISTOGRAM_BINS;
+
+			// Frequency distribution
+			return getCubeLayout(enigmaApp, {
+				qMeasures: _.range(HISTOGRAM_BINS).map( function( ix ) {
+					var isLast = ix === HISTOGRAM_BINS - 1;
+
+					return {
+						qDef: {
+							qDef: "Sum({1} If(".concat(field, " >= ", profile.min + ix * width, " And ", field, isLast ? " <= " : " < ", isLast ? profile.max : profile.min + (ix + 1) * width, ", 1, 0))")
+						}
+					};
+				}),
+				qInitialDataFetch: [{ qTop: 0, qLeft: 0, qWidth: HISTOGRAM_BINS, qHeight: 1 }]
+			}).then( function( cube ) {
+				profile.histogram = setupHistogram((cube.qDataPages[0].qMatrix[0] || []).map( function( a, ix ) {
+					return {
+						from: profile.min + ix * width,
+						to: profile.min + (ix + 1) * width,
+						count: isNumber(a.qNum) ? a.qNum : 0
+					};
+				}));
+
+				return setupMetrics(profile);
+			});
+		});
+	},
+
+	/**
+	 * Return the displayed metrics of a field profile
+	 *
+	 * Numeric metrics are only listed for fields with numeric values.
+	 *
+	 * @param  {Object} profile Field profile
+	 * @return {Array} Metrics with `name`, `label` and `value` list
+	 */
+	getMetrics = function( profile ) {
+		var metrics = [
+			{ name: "distinct", label: "Distinct values", value: [formatNumber(profile.distinct).concat(" / ", formatNumber(profile.rows), " rows")] },
+			{ name: "nulls", label: "Null values", value: [formatRatio(profile.nulls, profile.rows)] },
+			{ name: "empty", label: "Empty strings", value: [formatRatio(profile.empty, profile.rows)] },
+			{ name: "text", label: "Text values", value: [formatRatio(profile.text, profile.rows)] },
+			{ name: "numeric", label: "Numeric values", value: [formatRatio(profile.numeric, profile.rows)] }
+		]; // Translation?
+
+		if (profile.numeric) {
+			metrics.push(
+				{ name: "min", label: "Minimum", value: [formatNumber(profile.min)] },
+				{ name: "max", label: "Maximum", value: [formatNumber(profile.max)] },
+				{ name: "median", label: "Median", value: [formatNumber(profile.median)] },
+				{ name: "average", label: "Average", value: [formatNumber(profile.average)] }
+			); // Translation?
+		}
+
+		if (profile.mostFrequent.length) {
+			metrics.push({
+				name: "mostFrequent",
+				label: "Most frequent", // Translation?
+				value: profile.mostFrequent.map( function( a ) {
+					return a.value.concat(" (", formatNumber(a.frequency), ")");
+				})
+			});
+		}
+
+		return metrics;
+	},
+
+	/**
+	 * Return the profile with its displayed metrics
+	 *
+	 * @param  {Object} profile Field profile
+	 * @return {Object} Field profile with `metrics`
+	 */
+	setupMetrics = function( profile ) {
+		profile.metrics = getMetrics(profile);
+
+		return profile;
+	};
+
+	return {
+		fromTableProfile: fromTableProfile,
+		fromHypercube: fromHypercube
+	};
+});
@@ -0,0 +1,879 @@
+/**
+ * E-mergo App Inspector script functions
+ *
+ * @package E-mergo Tools Bundle
+ *
+ * @param  {Object} _                   Underscore
+ * @param  {Object} expression          E-mergo App Inspector expression functions
+ * @return {Object}                     Script API
+ */
+define([
+	"underscore",
+	"./expression"
+], function( _, expression ) {
+
+	/**
+	 * Holds the pattern for control statements, which end at the end of the line
+	 *
+	 * @type {RegExp}
+	 */
+	var CONTROL_STATEMENT = /^(end\s+sub|end\s+if|end\s+switch|sub|call|if|elseif|else|for|next|do|loop|exit|switch|case|default)\b/i,
+
+	/**
+	 * Holds the pattern for dollar-sign include statements
+	 *
+	 * @type {RegExp}
+	 */
+	INCLUDE_STATEMENT = /^\$\(\s*(must_)?include\s*=\s*([\s\S]*?)\s*\)\s*;?$/i,
+
+	/**
+	 * Holds the keywords that end the field list of a LOAD statement
+	 *
+	 * @type {Array}
+	 */
+	LOAD_CLAUSES = ["from", "from_field", "resident", "inline", "autogenerate", "extension", "where", "while", "group", "order"],
+
+	/**
+	 * Holds the keywords of load prefixes that take a table name argument
+	 *
+	 * @type {Array}
+	 */
+	TABLE_PREFIXES = ["concatenate", "join", "keep"],
+
+	/**
+	 * Holds the script keywords that are highlighted
+	 *
+	 * @type {Array}
+	 */
+	KEYWORDS = ["add", "alias", "and", "as", "autogenerate", "binary", "buffer", "by", "call", "case", "concatenate", "connect", "crosstable", "default", "delimiter", "directory", "disconnect", "distinct", "do", "drop", "each", "else", "elseif", "embedded", "end", "exit", "explicit", "field", "fields", "for", "from", "from_field", "generic", "group", "header", "hierarchy", "hierarchybelongsto", "if", "in", "inline", "inner", "intervalmatch", "into", "is", "join", "keep", "labels", "left", "let", "lib", "load", "loop", "map", "mapping", "next", "noconcatenate", "not", "or", "order", "outer", "qualify", "qvd", "rename", "replace", "resident", "right", "section", "select", "semantic", "set", "sleep", "sql", "step", "store", "sub", "switch", "table", "tables", "then", "to", "trace", "txt", "unless", "unqualify", "until", "using", "when", "where", "while", "with"],
+
+	/**
+	 * Return the index of the closing character of a quoted section
+	 *
+	 * @param  {String} text  Text
+	 * @param  {Number} start Index of the opening character
+	 * @param  {String} close Closing character
+	 * @return {Number} Index of the closing character
+	 */
+	findClosingQuote = function( text, start, close ) {
+		var i = text.indexOf(close, start + 1);
+
+		return -1 === i ? text.length : i;
+	},
+
+	/**
+	 * Return the statements of a script
+	 *
+	 * Statements end with a semicolon outside of quotes and comments. Control
+	 * statements also end at the end of the line. Comments are replaced by spaces
+	 * in the statement's `clean` text.
+	 *
+	 * @param  {String} text Script text
+	 * @return {Array} Statements with `text`, `clean` and `index`
+	 */
+	splitStatements = function( text ) {
+		var statements = [], clean = "", start = -1, isLineMode = false, i = 0, end, head,
+
+		/**
+		 * Close the current statement
+		 *
+		 * @param  {Number} endIx Index after the last character of the statement
+		 * @return {Void}
+		 */
+		closeStatement = function( endIx ) {
+			if (-1 !== start && clean.trim().length) {
+				statements.push({
+					text: text.substring(start, endIx).trim(),
+					clean: clean.trim(),
+					index: start
+				});
+			}
+
+			start = -1;
+			clean = "";
+			isLineMode = false;
+		};
+
+		while (i < text.length) {
+
+			// Line comments, ignoring urls like lib://
+			if ("/" === text[i] && "/" === text[i + 1] && ":" !== text[i - 1]) {
+				end = text.indexOf("\n", i);
+				end = -1 === end ? text.length : end;
+				clean += new Array(end - i + 1).join(" ");
+				i = end;
+				continue;
+
+			// Block comments
+			} else if ("/" === text[i] && "*" === text[i + 1]) {
+				end = text.indexOf("*/", i + 2);
+				end = -1 === end ? text.length : end + 2;
+				clean += text.substring(i, end).replace(/[^\n]/g, " ");
+				i = end;
+				continue;
+			}
+
+			// Start a new statement
+			if (-1 === start) {
+				if (/\s/.test(text[i]) || ";" === text[i]) {
+					i++;
+					continue;
+				}
+
+				head = text.substr(i, 40);
+
+				// Skip REM comments
+				if (/^rem\b/i.test(head)) {
+					end = text.indexOf(";", i);
+					i = -1 === end ? text.length : end + 1;
+					continue;
+				}
+
+				// Include statements end at their closing parenthesis
+				if (/^\$\(\s*(must_)?include\s*=/i.test(head)) {
+					end = text.indexOf(")", i);
+					end = -1 === end ? text.length : end + 1;
+					start = i;
+					clean = text.substring(i, end);
+					closeStatement(end);
+					i = end;
+					continue;
+				}
+
+				start = i;
+				isLineMode = CONTROL_STATEMENT.test(head);
+			}
+
+			// Quoted sections
+			if ("'" === text[i] || "\"" === text[i] || "`" === text[i] || "[" === text[i]) {
+				end = findClosingQuote(text, i, "[" === text[i] ? "]" : text[i]) + 1;
+				clean += text.substring(i, end);
+				i = end;
+
+			// End of statement
+			} else if (";" === text[i] || (isLineMode && "\n" === text[i])) {
+				closeStatement(i);
+				i++;
+
+			} else {
+				clean += text[i];
+				i++;
+			}
+		}
+
+		closeStatement(text.length);
+
+		return statements;
+	},
+
+	/**
+	 * Return the unquoted version of a name
+	 *
+	 * @param  {String} name Name
+	 * @return {String} Unquoted name
+	 */
+	unquote = function( name ) {
+		name = (name || "").trim();
+
+		if (/^\[[\s\S]*\]$/.test(name) || /^"[\s\S]*"$/.test(name) || /^'[\s\S]*'$/.test(name) || /^`[\s\S]*`$/.test(name)) {
+			name = name.substring(1, name.length - 1);
+		}
+
+		return name;
+	},
+
+	/**
+	 * Return the significant tokens of a text with their parenthesis depth
+	 *
+	 * @param  {String} text Text
+	 * @return {Array} Tokens with `depth`
+	 */
+	getTokens = function( text ) {
+		var depth = 0;
+
+		return expression.tokenize(text).filter( function( token ) {
+			return "space" !== token.type && "comment" !== token.type;
+		}).map( function( token ) {
+			if (")" === token.value) {
+				depth--;
+			}
+
+			token.depth = depth;
+
+			if ("(" === token.value) {
+				depth++;
+			}
+
+			return token;
+		});
+	},
+
+	/**
+	 * Return the index of the first top-level keyword token
+	 *
+	 * @param  {Array}  tokens   Tokens
+	 * @param  {Array}  keywords Lowercase keywords
+	 * @param  {Number} from     Optional. Token index to start from
+	 * @return {Number} Token index or -1 when not found
+	 */
+	findKeyword = function( tokens, keywords, from ) {
+		var i;
+
+		for (i = from || 0; i < tokens.length; i++) {
+			if ("word" === tokens[i].type && ! tokens[i].depth && -1 !== keywords.indexOf(tokens[i].value.toLowerCase())) {
+				return i;
+			}
+		}
+
+		return -1;
+	},
+
+	/**
+	 * Return the text between two tokens
+	 *
+	 * @param  {String} text   Statement text
+	 * @param  {Array}  tokens Tokens
+	 * @param  {Number} from   First token index
+	 * @param  {Number} to     Optional. Token index to end before
+	 * @return {String} Text
+	 */
+	getTokenText = function( text, tokens, from, to ) {
+		if (from >= tokens.length || (undefined !== to && -1 !== to && to <= from)) {
+			return "";
+		}
+
+		return text.substring(tokens[from].index, undefined === to || -1 === to || to >= tokens.length ? text.length : tokens[to].index).trim();
+	},
+
+	/**
+	 * Return the parts of a list, split by top-level commas
+	 *
+	 * @param  {String} text List text
+	 * @return {Array} List parts
+	 */
+	splitList = function( text ) {
+		var parts = [], tokens = getTokens(text), last = 0;
+
+		tokens.forEach( function( token ) {
+			if ("," === token.value && ! token.depth) {
+				parts.push(text.substring(last, token.index).trim());
+				last = token.index + 1;
+			}
+		});
+
+		parts.push(text.substring(last).trim());
+
+		return parts.filter( function( a ) {
+			return a.length;
+		});
+	},
+
+	/**
+	 * Return the names of the fields in a field list
+	 *
+	 * Fields are named by their alias, their name or otherwise their expression.
+	 *
+	 * @param  {String}  text  Field list text
+	 * @param  {Boolean} isSql Whether the list is part of a SQL statement
+	 * @return {Array} Field names
+	 */
+	getFieldNames = function( text, isSql ) {
+		return splitList(text).map( function( field ) {
+			var tokens = getTokens(field), ix = -1, i;
+
+			// Find the last top-level alias
+			for (i = tokens.length - 1; i >= 0; i--) {
+				if ("word" === tokens[i].type && ! tokens[i].depth && "as" === tokens[i].value.toLowerCase()) {
+					ix = i;
+					break;
+				}
+			}
+
+			if (-1 !== ix) {
+				return unquote(getTokenText(field, tokens, ix + 1));
+			}
+
+			// Remove table qualifiers in SQL
+			if (isSql && /^[\w"\[\]`.]+$/.test(field)) {
+				return unquote(field.split(".").pop());
+			}
+
+			return unquote(field);
+		});
+	},
+
+	/**
+	 * Return the name of the table that is loaded from a file path
+	 *
+	 * @param  {String} path File path
+	 * @return {String} Table name
+	 */
+	getFileTableName = function( path ) {
+		return path.split(/[\\\/]/).pop().replace(/\.[^.]*$/, "");
+	},
+
+	/**
+	 * Return the parsed LOAD or SELECT statement
+	 *
+	 * @param  {Object} statement Statement with `clean` text
+	 * @param  {Array}  tokens    Tokens of the statement, after the table label
+	 * @param  {Object} state     Parser state with `connection`
+	 * @return {Object} Parsed statement
+	 */
+	parseLoadStatement = function( statement, tokens, state ) {
+		var text = statement.body, ix = 0, keyword, clauseIx, fromIx, source = { type: null, value: null, connection: null }, fields, next, word;
+
+		statement.prefixes = [];
+
+		// Collect load prefixes
+		while (ix < tokens.length) {
+			word = "word" === tokens[ix].type ? tokens[ix].value.toLowerCase() : "";
+
+			if ("load" === word || "select" === word) {
+				break;
+			}
+
+			if (word && "sql" !== word && ! tokens[ix].depth) {
+				statement.prefixes.push(tokens[ix].value);
+
+				// Prefixes with a table name, like Concatenate(Table)
+				if (-1 !== TABLE_PREFIXES.indexOf(word) && tokens[ix + 1] && "(" === tokens[ix + 1].value) {
+					statement.prefixTable = unquote(getTokenText(text, tokens, ix + 2, _.findIndex(tokens, function( a, i ) {
+						return i > ix + 1 && ")" === a.value && ! a.depth;
+					})));
+				}
+			}
+
+			ix++;
+		}
+
+		keyword = tokens[ix].value.toLowerCase();
+		statement.type = keyword;
+
+		// Skip distinct qualifier
+		if (tokens[ix + 1] && "distinct" === tokens[ix + 1].value.toLowerCase()) {
+			ix++;
+		}
+
+		// LOAD statement
+		if ("load" === keyword) {
+			clauseIx = findKeyword(tokens, LOAD_CLAUSES, ix + 1);
+			fields = getTokenText(text, tokens, ix + 1, clauseIx);
+			word = -1 !== clauseIx ? tokens[clauseIx].value.toLowerCase() : null;
+			next = -1 !== clauseIx ? tokens[clauseIx + 1] : null;
+
+			switch (word) {
+				case "from":
+				case "from_field":
+					source.type = "from" === word ? "file" : "field";
+					source.value = next ? unquote(next.value) : null;
+
+					// Paths can be unquoted
+					if (next && "word" === next.type) {
+						source.value = getTokenText(text, tokens, clauseIx + 1, findKeyword(tokens, ["where", "while", "group", "order"], clauseIx + 1)).replace(/\s*\([^)]*\)\s*$/, "");
+					}
+
+					if (source.value && /^lib:\/\//i.test(source.value)) {
+						source.connection = source.value.replace(/^lib:\/\//i, "").split(/[\\\/]/)[0];
+					}
+					break;
+				case "resident":
+					source.type = "resident";
+					source.value = next ? unquote(next.value) : null;
+					break;
+				case "inline":
+					source.type = "inline";
+
+					// Inline data header holds the field names
+					if (next && "*" === fields) {
+						fields = unquote(next.value).trim().split(/\r?\n/)[0];
+					}
+					break;
+				case "autogenerate":
+					source.type = "autogenerate";
+					source.value = getTokenText(text, tokens, clauseIx + 1, findKeyword(tokens, ["where", "while"], clauseIx + 1));
+					break;
+				case "extension":
+					source.type = "extension";
+					source.value = getTokenText(text, tokens, clauseIx + 1);
+					break;
+
+				// Preceding load
+				default:
+					source.type = "preceding";
+			}
+
+			statement.fields = getFieldNames(fields, false);
+
+		// SELECT statement
+		} else {
+			fromIx = findKeyword(tokens, ["from"], ix + 1);
+			statement.fields = getFieldNames(getTokenText(text, tokens, ix + 1, fromIx), true);
+
+			source.type = "sql";
+			source.value = -1 !== fromIx ? getTokenText(text, tokens, fromIx + 1, findKeyword(tokens, ["where", "group", "order", "having", "union"], fromIx + 1)) : null;
+			source.connection = state.connection;
+		}
+
+		statement.source = source;
+		statement.isMapping = !! _.find(statement.prefixes, function( a ) {
+			return "mapping" === a.toLowerCase();
+		});
+
+		// Determine the target table
+		statement.table = statement.label || statement.prefixTable || state.precedingLabel
+			|| ("file" === source.type && source.value ? getFileTableName(source.value) : null)
+			|| ("sql" === source.type && source.value ? unquote(source.value.split(/\s+/)[0].split(".").pop()) : null);
+
+		// Preceding loads pass their table on to the next load
+		state.precedingLabel = "preceding" === source.type ? statement.table : null;
+
+		return statement;
+	},
+
+	/**
+	 * Return the parsed version of a single statement
+	 *
+	 * @param  {Object} statement Statement with `text`, `clean` and `index`
+	 * @param  {Object} state     Parser state
+	 * @return {Object} Parsed statement with `type`
+	 */
+	parseStatement = function( statement, state ) {
+		var text = statement.clean, tokens, label, match, word, ix;
+
+		// Include statements
+		if ((match = text.match(INCLUDE_STATEMENT))) {
+			return _.extend(statement, {
+				type: "include",
+				path: match[2],
+				isRequired: !! match[1]
+			});
+		}
+
+		// Table labels
+		if ((match = text.match(/^(\[[^\]]*\]|"[^"]*"|[^\s:;=(\[\]"']+)\s*:(?!=)/)) && ! /^\$\(/.test(text)) {
+			label = unquote(match[1]);
+			text = text.substr(match[0].length).trim();
+		}
+
+		statement.label = label || null;
+		statement.body = text;
+		tokens = getTokens(text);
+		word = tokens.length && "word" === tokens[0].type ? tokens[0].value.toLowerCase() : "";
+		statement.type = word || "other";
+
+		// Load statements
+		if (-1 !== findKeyword(tokens, ["load", "select"]) && -1 === ["let", "set", "store", "drop", "sub", "call", "if", "for", "trace"].indexOf(word)) {
+			return parseLoadStatement(statement, tokens, state);
+		}
+
+		switch (word) {
+			case "let":
+			case "set":
+				ix = _.findIndex(tokens, function( a ) { return "=" === a.value; });
+				statement.name = unquote(getTokenText(text, tokens, 1, ix));
+				statement.value = -1 !== ix ? getTokenText(text, tokens, ix + 1) : null;
+				break;
+
+			case "store":
+				ix = findKeyword(tokens, ["into"]);
+				match = findKeyword(tokens, ["from"]);
+				statement.table = unquote(getTokenText(text, tokens, -1 !== match && match < ix ? match + 1 : 1, ix));
+				statement.target = -1 !== ix ? getTokenText(text, tokens, ix + 1).replace(/\s*\([^)]*\)\s*$/, "") : null;
+				statement.target = statement.target && unquote(statement.target);
+				break;
+
+			case "drop":
+				statement.object = tokens[1] && /^fields?$/i.test(tokens[1].value) ? "field" : "table";
+				ix = findKeyword(tokens, ["from"]);
+				statement.names = splitList(getTokenText(text, tokens, 2, ix)).map(unquote);
+				statement.tables = "field" === statement.object && -1 !== ix ? splitList(getTokenText(text, tokens, ix + 1)).map(unquote) : [];
+				break;
+
+			case "sub":
+			case "call":
+				statement.name = tokens[1] ? unquote(tokens[1].value) : null;
+				break;
+
+			case "lib":
+			case "connect":
+			case "odbc":
+			case "oledb":
+				ix = findKeyword(tokens, ["to"]);
+				statement.type = "connect";
+				statement.connection = -1 !== ix ? unquote(getTokenText(text, tokens, ix + 1)) : null;
+				state.connection = statement.connection;
+				break;
+
+			case "disconnect":
+				state.connection = null;
+				break;
+		}
+
+		return statement;
+	},
+
+	/**
+	 * Return the parsed statements of a script
+	 *
+	 * @param  {String} text Script text
+	 * @param  {Object} state Optional. Parser state to continue from, for parsing subsequent sections.
+	 * @return {Array} Statements with `type`, `line` and `text` and type specific properties
+	 */
+	parseScript = function( text, state ) {
+		state = state || {};
+		text = "string" === typeof text ? text : "";
+
+		return splitStatements(text).map( function( statement ) {
+			statement.line = text.substr(0, statement.index).split("\n").length;
+
+			statement = parseStatement(statement, state);
+
+			// Remove parser internals
+			return _.omit(statement, "clean", "body", "index");
+		});
+	},
+
+	/**
+	 * Return a readable description of a statement
+	 *
+	 * @param  {Object} statement Parsed statement
+	 * @return {String} Description
+	 */
+	describeStatement = function( statement ) {
+		var description = statement.type.toUpperCase();
+
+		switch (statement.type) {
+			case "load":
+			case "select":
+				if (statement.source.value && -1 !== ["file", "field", "resident", "sql"].indexOf(statement.source.type)) {
+					description = description.concat(" from ", statement.source.value);
+				} else if (statement.source.type) {
+					description = description.concat(" ", statement.source.type, statement.source.value ? " ".concat(statement.source.value) : "");
+				}
+				if (statement.table) {
+					description = description.concat(" into ", statement.table);
+				}
+				description = description.concat(" (", statement.fields.length, " ", 1 === statement.fields.length ? "field" : "fields", ")");
+				break;
+			case "store":
+				description = description.concat(" ", statement.table || "", " into ", statement.target || "");
+				break;
+			case "drop":
+				description = description.concat(" ", statement.object.toUpperCase(), " ", statement.names.join(", "));
+				break;
+			case "let":
+			case "set":
+			case "sub":
+			case "call":
+				description = description.concat(" ", statement.name || "");
+				break;
+			case "include":
+				description = description.concat(" ", statement.path);
+				break;
+			case "connect":
+				description = description.concat(" to ", statement.connection || "");
+				break;
+			default:
+				description = statement.text.split(/\r?\n/)[0];
+		}
+
+		return "Line ".concat(statement.line, ": ", description);
+	},
+
+	/**
+	 * Return the fields that are produced by a chain of preceding loads
+	 *
+	 * Wildcards pass on the fields of the next load in the chain.
+	 *
+	 * @param  {Array} chain Load statements, starting with the top-most preceding load
+	 * @return {Array} Field names, including a wildcard when the fields are unknown
+	 */
+	getChainFields = function( chain ) {
+		var fields = chain[0].fields || [];
+
+		if (-1 !== fields.indexOf("*") && chain.length > 1) {
+			fields = _.union(_.without(fields, "*"), getChainFields(chain.slice(1)));
+		}
+
+		return fields;
+	},
+
+	/**
+	 * Return the data lineage of a list of statements
+	 *
+	 * Walks the load statements in order to collect the sources of each table and
+	 * its fields. Preceding loads are combined with the load they are stacked on.
+	 * Unlabeled loads are assigned to the previous table when concatenated or joined,
+	 * or to the table with identical fields, mimicking automatic concatenation.
+	 *
+	 * @param  {Array} statements Parsed statements, optionally with `section`
+	 * @return {Object} Tables by name with `name`, `sources`, `fields`, `hasWildcard`, `derived`, `isMapping` and `isDropped`
+	 */
+	getLineage = function( statements ) {
+		var tables = {}, preceding = [], lastTable = null,
+
+		/**
+		 * Return the lineage table by name
+		 *
+		 * @param  {String} name Table name
+		 * @return {Object} Lineage table
+		 */
+		getTable = function( name ) {
+			if (! tables.hasOwnProperty(name)) {
+				tables[name] = { name: name, sources: [], fields: {}, hasWildcard: false, derived: [], isMapping: false, isDropped: false };
+			}
+
+			return tables[name];
+		};
+
+		statements.forEach( function( statement ) {
+			var chain, fields, tableName, table, source, isConcatenated;
+
+			if ("drop" === statement.type && "table" === statement.object) {
+				statement.names.forEach( function( name ) {
+					if (tables.hasOwnProperty(name)) {
+						tables[name].isDropped = true;
+					}
+				});
+			}
+
+			if ("load" !== statement.type && "select" !== statement.type) {
+				return;
+			}
+
+			// Stack preceding loads on the next load
+			if ("preceding" === statement.source.type) {
+				preceding.push(statement);
+				return;
+			}
+
+			chain = preceding.concat(statement);
+			preceding = [];
+
+			// Resident wildcards take the fields of the resident table
+			fields = getChainFields(chain);
+			if (-1 !== fields.indexOf("*") && "resident" === statement.source.type && tables.hasOwnProperty(statement.source.value)) {
+				fields = _.union(_.without(fields, "*"), _.keys(tables[statement.source.value].fields));
+			}
+
+			// Find the target table
+			isConcatenated = !! _.find(chain[0].prefixes || [], function( a ) {
+				return -1 !== TABLE_PREFIXES.indexOf(a.toLowerCase());
+			});
+			tableName = chain[0].table || statement.table;
+
+			if (! chain[0].label && ! chain[0].prefixTable && isConcatenated) {
+				tableName = lastTable;
+			} else if (! chain[0].label && ! chain[0].prefixTable) {
+				tableName = _.find(_.keys(tables), function( name ) {
+					var keys = _.keys(tables[name].fields);
+
+					return ! tables[name].isDropped && keys.length === fields.length && ! _.difference(fields, keys).length;
+				}) || tableName;
+			}
+
+			if (! tableName) {
+				return;
+			}
+
+			table = getTable(tableName);
+			table.isMapping = table.isMapping || !! chain[0].isMapping;
+			table.isDropped = false;
+
+			source = _.extend({ line: statement.line, section: statement.section || null }, statement.source);
+			table.sources.push(source);
+
+			fields.forEach( function( field ) {
+				if ("*" === field) {
+					table.hasWildcard = true;
+				} else {
+					table.fields[field] = (table.fields[field] || []).concat(source);
+				}
+			});
+
+			// Register derived tables
+			if ("resident" === source.type && source.value !== tableName) {
+				getTable(source.value).derived = _.union(getTable(source.value).derived, [tableName]);
+			}
+
+			lastTable = tableName;
+		});
+
+		return tables;
+	},
+
+	/**
+	 * Return the upstream sources of a table or field
+	 *
+	 * Resident sources are traced further through the resident table, following
+	 * the same field when it exists there.
+	 *
+	 * @param  {Object} lineage Lineage tables by name
+	 * @param  {String} name    Table name
+	 * @param  {String} field   Optional. Field name
+	 * @param  {Array}  path    Optional. Names of the tables being traced
+	 * @return {Array} Sources with `children`
+	 */
+	getUpstream = function( lineage, name, field, path ) {
+		var table = lineage[name], sources;
+
+		path = (path || []).concat(name);
+
+		if (! table) {
+			return [];
+		}
+
+		sources = field && table.fields.hasOwnProperty(field) ? table.fields[field] : table.sources;
+
+		return _.uniq(sources, false, function( a ) {
+			return [a.type, a.value, a.section, a.line].join("|");
+		}).map( function( source ) {
+			var traceField = field && lineage[source.value] && lineage[source.value].fields.hasOwnProperty(field) ? field : null;
+
+			return _.extend({}, source, {
+				children: "resident" === source.type && -1 === path.indexOf(source.value) ? getUpstream(lineage, source.value, traceField, path) : []
+			});
+		});
+	},
+
+	/**
+	 * Return a readable description of a statement source
+	 *
+	 * @param  {Object} source Statement source with optional `section` and `line`
+	 * @return {String} Description
+	 */
+	describeSource = function( source ) {
+		var description = (source.type || "").toUpperCase();
+
+		if (source.value) {
+			description = description.concat(" ", source.value);
+		}
+
+		if (source.connection && "file" !== source.type) {
+			description = description.concat(" (", source.connection, ")");
+		}
+
+		if (source.line) {
+			description = description.concat(" [", _.compact([source.section, "line ".concat(source.line)]).join(", "), "]");
+		}
+
+		return description;
+	},
+
+	/**
+	 * Return the lines of a script with their highlighted parts
+	 *
+	 * Parts are typed as 'comment', 'string', 'quoted' (field and table names),
+	 * 'variable' (dollar-sign expansions), 'number', 'keyword', 'function' or 'text'.
+	 * Parts spanning multiple lines are split over the lines.
+	 *
+	 * @param  {String} text Script text
+	 * @return {Array} Lines with `number` and `parts` with `text` and `type`
+	 */
+	highlightScript = function( text ) {
+		var parts = [], lines = [{ number: 1, parts: [] }], i = 0, end, depth, match, type,
+
+		/**
+		 * Add a part of the script
+		 *
+		 * @param  {String} type  Part type
+		 * @param  {Number} endIx Index after the last character of the part
+		 * @return {Void}
+		 */
+		addPart = function( type, endIx ) {
+			var last = _.last(parts);
+
+			// Merge adjacent text
+			if ("text" === type && last && "text" === last.type) {
+				last.text += text.substring(i, endIx);
+			} else {
+				parts.push({ text: text.substring(i, endIx), type: type });
+			}
+
+			i = endIx;
+		};
+
+		text = text || "";
+
+		while (i < text.length) {
+
+			// Line comments, ignoring urls like lib://
+			if ("/" === text[i] && "/" === text[i + 1] && ":" !== text[i - 1]) {
+				end = text.indexOf("\n", i);
+				addPart("comment", -1 === end ? text.length : end);
+
+			// Block comments
+			} else if ("/" === text[i] && "*" === text[i + 1]) {
+				end = text.indexOf("*/", i + 2);
+				addPart("comment", -1 === end ? text.length : end + 2);
+
+			// REM comments at the start of a line
+			} else if (/^rem\b/i.test(text.substr(i, 4)) && /(^|\n)[ \t]*$/.test(text.substring(Math.max(0, text.lastIndexOf("\n", i - 1)), i))) {
+				end = text.indexOf(";", i);
+				addPart("comment", -1 === end ? text.length : end + 1);
+
+			// Strings
+			} else if ("'" === text[i] || "\"" === text[i]) {
+				addPart("string", findClosingQuote(text, i, text[i]) + 1);
+
+			// Quoted names
+			} else if ("[" === text[i] || "`" === text[i]) {
+				addPart("quoted", findClosingQuote(text, i, "[" === text[i] ? "]" : text[i]) + 1);
+
+			// Dollar-sign expansions
+			} else if ("$" === text[i] && "(" === text[i + 1]) {
+				for (end = i + 2, depth = 1; end < text.length && depth; end++) {
+					depth += "(" === text[end] ? 1 : (")" === text[end] ? -1 : 0);
+				}
+				addPart("variable", end);
+
+			// Numbers
+			} else if (/\d/.test(text[i]) && ! /[\w.$]/.test(text[i - 1] || "")) {
+				match = text.substr(i).match(/^\d+(\.\d+)?/);
+				addPart("number", i + match[0].length);
+
+			// Words
+			} else if (/[a-z_#]/i.test(text[i])) {
+				match = text.substr(i).match(/^[\w#.]+/);
+
+				if (-1 !== KEYWORDS.indexOf(match[0].toLowerCase())) {
+					type = "keyword";
+				} else if (/^\s*\(/.test(text.substr(i + match[0].length, 20))) {
+					type = "function";
+				} else {
+					type = "text";
+				}
+
+				addPart(type, i + match[0].length);
+
+			} else {
+				addPart("text", i + 1);
+			}
+		}
+
+		// Split parts into lines
+		parts.forEach( function( part ) {
+			part.text.split("\n").forEach( function( a, ix ) {
+				if (ix) {
+					lines.push({ number: lines.length + 1, parts: [] });
+				}
+
+				if (a.length) {
+					_.last(lines).parts.push({ text: a, type: part.type });
+				}
+			});
+		});
+
+		return lines;
+	};
+
+	return {
+		parse: parseScript,
+		highlight: highlightScript,
+		describe: describeStatement,
+		describeSource: describeSource,
+		lineage: getLineage,
+		upstream: getUpstream
+	};
+});
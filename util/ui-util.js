@@ -72,8 +72,9 @@ define([
 		// Parse defaults
 		options = _.defaults(options || {}, {
 			title: "Items",
-			template: '<lui-popover class="add-popover-wrapper" style="min-width: 200px;width: 230px;" align-to="alignTo" position="position" collision="\'flipfit\'" on-close-view="close(event)" qva-outside-ignore-for="{{qvaOutsideIgnoreFor}}"><object-add-typeahead><lui-popover-header><div class="lui-input-group"><input class="lui-input" type="text" name="item" autocomplete="off" ng-model="search.term" tid="item-input" qva-focus="autoFocus" maxlength="255" object-add-typeahead-input on-escape="onEscape($event)" on-enter="onEnter($event)"/></div></lui-popover-header><div class="object-add-popover-content" object-add-typeahead-menu><div class="object-add-popover-list-header" ng-if="items.length">{{title}}</div><ul class="lui-list"><li class="lui-list__item lui-list__action" ng-repeat="item in items" tid="item" object-add-typeahead-item="item" on-select="select(item)"><span qve-highlight text="{{item.value}}" title="{{item.value}}" query="search.term" class="lui-list__text lui-list__text--ellipsis"></span></li></ul><div class="object-add-popover-nohits" ng-if="!items.length" q-translation="Toolbox.Search.Nohits"></div></div></object-add-typeahead></lui-popover>',
+			template: '<lui-popover class="add-popover-wrapper" style="min-width: 200px;width: 230px;" align-to="alignTo" position="position" collision="\'flipfit\'" on-close-view="close(event)" qva-outside-ignore-for="{{qvaOutsideIgnoreFor}}"><object-add-typeahead><lui-popover-header><div class="lui-input-group"><input class="lui-input" type="text" name="item" autocomplete="off" ng-model="search.term" tid="item-input" qva-focus="autoFocus" maxlength="255" object-add-typeahead-input on-escape="onEscape($event)" on-enter="onEnter($event)"/></div></lui-popover-header><div class="object-add-popover-content" object-add-typeahead-menu><div class="object-add-popover-list-header" ng-if="items.length">{{title}}</div><ul class="lui-list"><li class="lui-list__item lui-list__action" ng-repeat="item in items" tid="item" object-add-typeahead-item="item" on-select="select(item)"><span qve-highlight text="{{item.value}}" title="{{item.value}}" query="search.term" class="lui-list__text lui-list__text--ellipsis"></span><span class="lui-list__aside lui-list__text--ellipsis item-description" ng-if="item.description" title="{{item.description}}">{{item.description}}</span></li></ul><div class="object-add-popover-nohits" ng-if="!items.length" q-translation="Toolbox.Search.Nohits"></div></div></object-add-typeahead></lui-popover>',
 			get: function( setItems ) { setItems([]); },
+			filter: listFilter,
 			select: function( item ) {},
 			alignTo: function() { return ""; },
 			closeOnEscape: true,
@@ -136,7 +137,7 @@ define([
 					};
 
 					$scope.selectFromName = function( term ) {
-						var items = listFilter(cache.items, term);
+						var items = options.filter(cache.items, term);
 
 						if (items.length) {
 							$scope.select(items[0]);
@@ -152,7 +153,7 @@ define([
 
 					$scope.$watch("search.term", function( term ) {
 						function setItems() {
-							var items = listFilter(cache.items, term);
+							var items = options.filter(cache.items, term);
 
 							if (items.length > ITEM_LIMIT) {
 								items = arrayUtil.limit(items, ITEM_LIMIT);
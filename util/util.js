@@ -224,6 +224,51 @@ define([
 		};
 	},
 
+	/**
+	 * Download content as a file
+	 *
+	 * @param  {String} filename File name
+	 * @param  {String} content  File content
+	 * @param  {String} type     Optional. File mime type. Defaults to 'text/plain'.
+	 * @return {Void}
+	 */
+	downloadFile = function( filename, content, type ) {
+		var blob = new Blob([content], { type: (type || "text/plain").concat(";charset=utf-8") }),
+		    url = URL.createObjectURL(blob),
+		    a = document.createElement( "a" );
+
+		a.href = url;
+		a.download = filename;
+		a.style.display = "none";
+		document.body.appendChild( a );
+		a.click();
+		document.body.removeChild( a );
+
+		// Release the file after the download has started
+		setTimeout( function() {
+			URL.revokeObjectURL(url);
+		}, 0);
+	},
+
+	/**
+	 * Return a human readable file size
+	 *
+	 * @param  {Number} bytes Size in bytes
+	 * @return {String} Formatted size
+	 */
+	formatBytes = function( bytes ) {
+		var units = ["B", "KB", "MB", "GB", "TB"], i = 0;
+
+		bytes = Number(bytes) || 0;
+
+		while (bytes >= 1024 && i < units.length - 1) {
+			bytes = bytes / 1024;
+			i++;
+		}
+
+		return (i ? bytes.toFixed(1) : String(bytes)).concat(" ", units[i]);
+	},
+
 	/**
 	 * Return the RGB equivalent of a HEX coded color
 	 *
@@ -490,6 +535,58 @@ define([
 		return dfd.promise;
 	},
 
+	/**
+	 * Let the user select a file and return its text contents
+	 *
+	 * The promise is not resolved when the user cancels the file selection.
+	 *
+	 * @param  {String} accept Optional. Accepted file types
+	 * @return {Promise} File text
+	 */
+	selectFile = function( accept ) {
+		var dfd = $q.defer(),
+		    input = document.createElement( "input" );
+
+		input.type = "file";
+		input.accept = accept || "";
+		input.addEventListener( "change", function() {
+			var reader = new FileReader();
+
+			if (! input.files.length) {
+				return;
+			}
+
+			reader.onload = function() {
+				dfd.resolve(reader.result);
+			};
+			reader.onerror = function() {
+				dfd.reject(reader.error);
+			};
+			reader.readAsText(input.files[0]);
+		});
+
+		input.click();
+
+		return dfd.promise;
+	},
+
+	/**
+	 * Return a substring of a text by its UTF-8 byte positions
+	 *
+	 * The engine reports text positions in bytes, which differ from character
+	 * positions for non-ASCII text.
+	 *
+	 * @param  {String} str           Text
+	 * @param  {Number} startInBytes  Start position in bytes
+	 * @param  {Number} lengthInBytes Length in bytes
+	 * @return {String} Substring
+	 */
+	substr_utf8_bytes = function( str, startInBytes, lengthInBytes ) {
+		var bytes = new TextEncoder().encode(str || "");
+
+		return new TextDecoder().decode(bytes.slice(startInBytes, startInBytes + lengthInBytes));
+	},
+
 	/**
 	 * Small final state machine creator
 	 *
@@ -754,6 +851,8 @@ define([
 		copy: copy,
 		copyToClipboard: copyToClipboard,
 		createCache: createCache,
+		downloadFile: downloadFile,
+		formatBytes: formatBytes,
 		hexToRgb: hexToRgb,
 		isDarkColor: isDarkColor,
 		isQlikCloud: isQlikCloud,
@@ -765,6 +864,8 @@ define([
 		registerStyle: registerStyle,
 		registerObjStyle: registerObjStyle,
 		requireMarkdownMimetype: requireMarkdownMimetype,
-		StateMachine: StateMachine
+		selectFile: selectFile,
+		StateMachine: StateMachine,
+		substr_utf8_bytes: substr_utf8_bytes
 	};
 });
\ No newline at end of file